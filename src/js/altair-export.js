@@ -0,0 +1,712 @@
+// Altair code generation - translate a Vega-Lite spec into Python code using the Altair API
+// (alt.Chart(...).mark_*().encode(...)), falling back to alt.Chart.from_dict() for anything
+// the translator doesn't understand
+
+const ALTAIR_LINE_WIDTH = 88;
+const ALTAIR_TYPE_CODES = { quantitative: 'Q', nominal: 'N', ordinal: 'O', temporal: 'T', geojson: 'G' };
+const PYTHON_KEYWORDS = new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+    'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+    'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+
+// Channel properties with an Altair class of their own (alt.X("a:Q", scale=alt.Scale(zero=False)))
+const ALTAIR_PROPERTY_CLASSES = { axis: 'Axis', legend: 'Legend', scale: 'Scale', header: 'Header', bin: 'Bin', impute: 'ImputeParams' };
+
+// Config sections with a configure_<section>() method; everything else goes through configure()
+const ALTAIR_CONFIGURE_SECTIONS = new Set([
+    'arc', 'area', 'axis', 'axisBand', 'axisBottom', 'axisDiscrete', 'axisLeft', 'axisPoint', 'axisQuantitative',
+    'axisRight', 'axisTemporal', 'axisTop', 'axisX', 'axisXBand', 'axisXDiscrete', 'axisXPoint', 'axisXQuantitative',
+    'axisXTemporal', 'axisY', 'axisYBand', 'axisYDiscrete', 'axisYPoint', 'axisYQuantitative', 'axisYTemporal', 'bar',
+    'boxplot', 'circle', 'concat', 'errorband', 'errorbar', 'facet', 'geoshape', 'header', 'headerColumn',
+    'headerFacet', 'headerRow', 'image', 'legend', 'line', 'mark', 'point', 'projection', 'range', 'rect', 'rule',
+    'scale', 'square', 'text', 'tick', 'title', 'trail', 'view'
+]);
+
+// Transforms in the order their operator keys are checked; the key names the transform_*() method
+const ALTAIR_TRANSFORMS = [
+    'filter', 'calculate', 'aggregate', 'joinaggregate', 'window', 'timeUnit', 'bin', 'fold', 'flatten', 'lookup',
+    'density', 'regression', 'loess', 'quantile', 'pivot', 'impute', 'sample', 'stack', 'extent'
+];
+
+// Transforms whose operator property is the first positional argument of the Altair method
+const ALTAIR_POSITIONAL_TRANSFORMS = new Set(['filter', 'fold', 'flatten', 'sample', 'density', 'quantile', 'pivot']);
+
+function isPythonIdentifier(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !PYTHON_KEYWORDS.has(name);
+}
+
+// Indent every line after the first, for code nested one level deeper
+function indentContinuation(code) {
+    return code.replace(/\n/g, '\n    ');
+}
+
+// Join already formatted items, breaking them over several lines (black style) when they don't fit
+// in the given line width
+function formatPythonItems(open, items, close, width = ALTAIR_LINE_WIDTH) {
+    const inline = `${open}${items.join(', ')}${close}`;
+    if (items.length === 0 || (inline.length <= width && !inline.includes('\n'))) {
+        return inline;
+    }
+    return `${open}\n${items.map(item => `    ${indentContinuation(item)},`).join('\n')}\n${close}`;
+}
+
+function formatPythonCall(callee, args) {
+    return formatPythonItems(`${callee}(`, args, ')');
+}
+
+// Method call in a chain, formatted by formatPythonChain() once its position on the line is known
+function methodCall(name, args = []) {
+    return { name, args };
+}
+
+// alt.Chart(source).mark_bar().encode(...) - each call stays on the current line while it fits
+function formatPythonChain(start, calls) {
+    let code = start;
+    for (const { name, args } of calls) {
+        const lineLength = code.length - code.lastIndexOf('\n') - 1;
+        code += formatPythonItems(`.${name}(`, args, ')', ALTAIR_LINE_WIDTH - lineLength);
+    }
+    return code;
+}
+
+// JSON value as a Python literal (JSON string escapes are valid in Python strings)
+function toPythonLiteral(value) {
+    if (value === null || value === undefined) return 'None';
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'None';
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (Array.isArray(value)) {
+        return formatPythonItems('[', value.map(toPythonLiteral), ']');
+    }
+    return formatPythonItems('{', Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${toPythonLiteral(item)}`), '}');
+}
+
+// Keyword arguments for an object's properties; names that aren't Python identifiers go into **{...}.
+// renameKeywords maps "as"/"from" to Altair's as_/from_ parameters.
+function formatKeywordArgs(properties, formatValue = toPythonLiteral, renameKeywords = true) {
+    const args = [];
+    const extra = [];
+
+    for (const [key, value] of Object.entries(properties)) {
+        if (value === undefined) continue;
+        const code = formatValue(value, key);
+        if (isPythonIdentifier(key)) {
+            args.push(`${key}=${code}`);
+        } else if (renameKeywords && (key === 'as' || key === 'from')) {
+            args.push(`${key}_=${code}`);
+        } else {
+            extra.push(`${JSON.stringify(key)}: ${code}`);
+        }
+    }
+
+    if (extra.length > 0) {
+        args.push(`**${formatPythonItems('{', extra, '}')}`);
+    }
+    return args;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Unique, readable Python variable name for a dataset, parameter or helper chart
+function getPythonVariableName(name, context) {
+    let base = String(name).replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'source';
+    if (/^[0-9]/.test(base)) base = `data_${base}`;
+    if (PYTHON_KEYWORDS.has(base)) base = `${base}_`;
+
+    let variable = base;
+    for (let counter = 2; context.usedNames.has(variable); counter++) {
+        variable = `${base}_${counter}`;
+    }
+    context.usedNames.add(variable);
+    return variable;
+}
+
+// File extension of a URL path, ignoring query string and fragment
+function getUrlExtension(url) {
+    const match = url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+    return match ? match[1].toLowerCase() : '';
+}
+
+function formatUrlData(url, format) {
+    if (!format || (Object.keys(format).length === 1 && format.type === getUrlExtension(url))) {
+        return toPythonLiteral(url);
+    }
+    return formatPythonCall('alt.UrlData', [toPythonLiteral(url), `format=${formatPythonCall('alt.DataFormat', formatKeywordArgs(format))}`]);
+}
+
+// Variable holding an Astrolabe dataset: URL datasets are loaded by the renderer, inline datasets are
+// read with pandas from the file the Dataset Manager exports (<name>.<format>)
+function defineDatasetVariable(dataset, specFormat, context) {
+    const variable = getPythonVariableName(dataset.name, context);
+    const fileName = toPythonLiteral(`${dataset.name}.${dataset.format}`);
+    const { type, ...formatOptions } = specFormat || {};
+    let code;
+
+    if (dataset.source === 'url') {
+        code = formatUrlData(dataset.data, { ...formatOptions, type: dataset.format });
+    } else if (dataset.format === 'csv') {
+        context.imports.add('pandas');
+        code = `pd.read_csv(${fileName})`;
+    } else if (dataset.format === 'tsv') {
+        context.imports.add('pandas');
+        code = `pd.read_csv(${fileName}, sep="\\t")`;
+    } else if (dataset.format === 'json') {
+        context.imports.add('pandas');
+        code = `pd.read_json(${fileName})`;
+    } else {
+        context.imports.add('json');
+        code = formatPythonCall('alt.InlineData', [
+            `values=json.load(open(${fileName}))`,
+            `format=${formatPythonCall('alt.DataFormat', formatKeywordArgs({ ...formatOptions, type: dataset.format }))}`
+        ]);
+    }
+
+    const comment = dataset.source === 'url'
+        ? `# Dataset "${dataset.name}" (loaded from its URL)`
+        : `# Dataset "${dataset.name}" - export it from the Dataset Manager as ${dataset.name}.${dataset.format}`;
+    context.dataStatements.push(`${comment}\n${variable} = ${code}`);
+    return variable;
+}
+
+// Records (array of plain objects) become a DataFrame; anything else stays inline Vega-Lite data
+function defineInlineValuesVariable(values, format, name, context) {
+    const variable = getPythonVariableName(name, context);
+    let code;
+    if (Array.isArray(values) && values.every(isPlainObject) && !format) {
+        context.imports.add('pandas');
+        code = `pd.DataFrame(${toPythonLiteral(values)})`;
+    } else {
+        const args = [`values=${toPythonLiteral(values)}`];
+        if (format) args.push(`format=${formatPythonCall('alt.DataFormat', formatKeywordArgs(format))}`);
+        code = formatPythonCall('alt.InlineData', args);
+    }
+    context.dataStatements.push(`${variable} = ${code}`);
+    return variable;
+}
+
+// Python expression for a Vega-Lite data property
+function translateData(data, context) {
+    if (!isPlainObject(data)) {
+        throw new Error('unsupported data definition');
+    }
+
+    if (typeof data.name === 'string') {
+        if (context.dataVariables.has(data.name)) {
+            return context.dataVariables.get(data.name);
+        }
+
+        let variable;
+        if (context.datasets.has(data.name)) {
+            variable = defineDatasetVariable(context.datasets.get(data.name), data.format, context);
+        } else if (context.specDatasets[data.name] !== undefined) {
+            variable = defineInlineValuesVariable(context.specDatasets[data.name], data.format, data.name, context);
+        } else {
+            return formatPythonCall('alt.NamedData', [toPythonLiteral(data.name)]);
+        }
+        context.dataVariables.set(data.name, variable);
+        return variable;
+    }
+
+    if (data.values !== undefined) {
+        return defineInlineValuesVariable(data.values, data.format, 'source', context);
+    }
+    if (typeof data.url === 'string') {
+        return formatUrlData(data.url, data.format);
+    }
+    if (data.sequence) {
+        const { start, stop, step, as } = data.sequence;
+        return formatPythonCall('alt.sequence', [toPythonLiteral(start), toPythonLiteral(stop), ...formatKeywordArgs({ step, as })]);
+    }
+    if (data.sphere) {
+        return 'alt.sphere()';
+    }
+    if (data.graticule) {
+        return formatPythonCall('alt.graticule', isPlainObject(data.graticule) ? formatKeywordArgs(data.graticule) : []);
+    }
+
+    throw new Error('unsupported data definition');
+}
+
+// Altair shorthand ("sum(price):Q", "month(date):T", "count()") for simple field definitions
+function getEncodingShorthand({ field, type, aggregate, timeUnit }) {
+    const typeCode = type === undefined ? '' : ALTAIR_TYPE_CODES[type];
+    if (typeCode === undefined) return null;
+    const suffix = typeCode ? `:${typeCode}` : '';
+
+    if (aggregate === 'count' && field === undefined && timeUnit === undefined) {
+        return `count()${suffix}`;
+    }
+    if (typeof field !== 'string' || !/^[^:()\\\s](?:[^:()\\]*[^:()\\\s])?$/.test(field)) return null;
+    if (aggregate !== undefined && timeUnit !== undefined) return null;
+
+    const operator = aggregate !== undefined ? aggregate : timeUnit;
+    if (operator === undefined) return `${field}${suffix}`;
+    return typeof operator === 'string' ? `${operator}(${field})${suffix}` : null;
+}
+
+function formatChannelProperty(value, key) {
+    if (key in ALTAIR_PROPERTY_CLASSES && isPlainObject(value) && Object.keys(value).every(isPythonIdentifier)) {
+        return formatPythonCall(`alt.${ALTAIR_PROPERTY_CLASSES[key]}`, formatKeywordArgs(value));
+    }
+    return toPythonLiteral(value);
+}
+
+// alt.condition(brush, alt.value("steelblue"), alt.value("lightgray")) for single conditions
+function translateConditionalChannel(channel, definition, context) {
+    const { condition, ...otherwise } = definition;
+    const { param, test, empty, ...whenTrue } = condition;
+    if (Object.keys(otherwise).length === 0) return null;
+
+    let predicate;
+    if (typeof param === 'string' && context.paramVariables.has(param) && test === undefined) {
+        predicate = context.paramVariables.get(param);
+    } else if (typeof test === 'string' && param === undefined) {
+        predicate = toPythonLiteral(test);
+    } else {
+        return null;
+    }
+
+    const args = [predicate, translateChannel(channel, whenTrue, context), translateChannel(channel, otherwise, context)];
+    if (empty !== undefined) args.push(`empty=${toPythonLiteral(empty)}`);
+    return formatPythonCall('alt.condition', args);
+}
+
+// Python expression for one encoding channel definition (or a list of them, e.g. tooltips)
+function translateChannel(channel, definition, context) {
+    if (Array.isArray(definition)) {
+        return formatPythonItems('[', definition.map(item => translateChannel(channel, item, context)), ']');
+    }
+    if (!isPlainObject(definition)) {
+        return toPythonLiteral(definition);
+    }
+
+    const className = `alt.${channel[0].toUpperCase()}${channel.slice(1)}`;
+    const keys = Object.keys(definition);
+
+    if (isPlainObject(definition.condition) && keys.every(key => ['condition', 'value', 'field', 'type', 'aggregate', 'timeUnit'].includes(key))) {
+        const conditional = translateConditionalChannel(channel, definition, context);
+        if (conditional) return conditional;
+    }
+
+    if ('value' in definition && keys.length === 1) {
+        return `alt.value(${toPythonLiteral(definition.value)})`;
+    }
+    if ('value' in definition) {
+        return formatPythonCall(`${className}Value`, formatKeywordArgs(definition, formatChannelProperty));
+    }
+    if ('datum' in definition) {
+        const { datum, ...properties } = definition;
+        return formatPythonCall(`${className}Datum`, [toPythonLiteral(datum), ...formatKeywordArgs(properties, formatChannelProperty)]);
+    }
+
+    const { field, type, aggregate, timeUnit, ...properties } = definition;
+    const shorthand = getEncodingShorthand(definition);
+    if (shorthand === null) {
+        return formatPythonCall(className, formatKeywordArgs(definition, formatChannelProperty));
+    }
+    if (Object.keys(properties).length === 0) {
+        return toPythonLiteral(shorthand);
+    }
+    return formatPythonCall(className, [toPythonLiteral(shorthand), ...formatKeywordArgs(properties, formatChannelProperty)]);
+}
+
+function translateEncoding(encoding, context) {
+    return methodCall('encode', Object.entries(encoding).map(([channel, definition]) => {
+        if (!isPythonIdentifier(channel)) {
+            throw new Error(`unknown encoding channel "${channel}"`);
+        }
+        return `${channel}=${translateChannel(channel, definition, context)}`;
+    }));
+}
+
+function translateMark(mark) {
+    const { type, ...properties } = typeof mark === 'string' ? { type: mark } : mark;
+    if (typeof type !== 'string' || !/^[a-z]+$/.test(type)) {
+        throw new Error('unsupported mark definition');
+    }
+    return methodCall(`mark_${type}`, formatKeywordArgs(properties));
+}
+
+// "name=op(field)" shorthands of aggregate, joinaggregate and window; null when an item needs the long form
+function getOperationShorthands(operations) {
+    const shorthands = {};
+    for (const { op, field, as, ...rest } of operations) {
+        if (Object.keys(rest).length > 0 || typeof op !== 'string' || typeof as !== 'string' || as in shorthands) return null;
+        if (field !== undefined && (typeof field !== 'string' || /[()]/.test(field))) return null;
+        shorthands[as] = `${op}(${field === undefined ? '' : field})`;
+    }
+    return shorthands;
+}
+
+function translateTransform(transform, context) {
+    const operator = ALTAIR_TRANSFORMS.find(key => key in transform);
+    if (!operator) {
+        throw new Error(`unsupported transform ${JSON.stringify(Object.keys(transform))}`);
+    }
+    const method = `transform_${operator.toLowerCase()}`;
+    const { [operator]: value, ...options } = transform;
+
+    // transform_filter(brush) for selection filters
+    if (operator === 'filter' && isPlainObject(value) && Object.keys(value).length === 1 && context.paramVariables.has(value.param)) {
+        return methodCall(method, [context.paramVariables.get(value.param)]);
+    }
+
+    // transform_calculate(total="datum.a + datum.b")
+    if (operator === 'calculate' && typeof options.as === 'string' && Object.keys(options).length === 1) {
+        return methodCall(method, formatKeywordArgs({ [options.as]: value }, toPythonLiteral, false));
+    }
+
+    // transform_aggregate(total="sum(price)", groupby=["category"])
+    if (['aggregate', 'joinaggregate', 'window'].includes(operator) && Array.isArray(value)) {
+        const shorthands = getOperationShorthands(value);
+        if (shorthands) {
+            const { sort, ...rest } = options;
+            const args = formatKeywordArgs(shorthands, toPythonLiteral, false);
+            if (Array.isArray(sort)) {
+                args.push(`sort=${formatPythonItems('[', sort.map(item => formatPythonCall('alt.SortField', formatKeywordArgs(item))), ']')}`);
+            } else if (sort !== undefined) {
+                args.push(`sort=${toPythonLiteral(sort)}`);
+            }
+            return methodCall(method, [...args, ...formatKeywordArgs(rest)]);
+        }
+    }
+
+    // transform_timeunit(month="month(date)")
+    if (operator === 'timeUnit' && typeof value === 'string' && typeof options.as === 'string'
+        && typeof options.field === 'string' && Object.keys(options).length === 2) {
+        return methodCall(method, formatKeywordArgs({ [options.as]: `${value}(${options.field})` }, toPythonLiteral, false));
+    }
+
+    // transform_lookup(lookup="id", from_=alt.LookupData(people, key="id", fields=["name"]))
+    if (operator === 'lookup' && isPlainObject(options.from) && options.from.data) {
+        const { data, ...lookupOptions } = options.from;
+        const lookupData = formatPythonCall('alt.LookupData', [translateData(data, context), ...formatKeywordArgs(lookupOptions)]);
+        const { from, ...rest } = options;
+        return methodCall(method, [`lookup=${toPythonLiteral(value)}`, `from_=${lookupData}`, ...formatKeywordArgs(rest)]);
+    }
+
+    if (ALTAIR_POSITIONAL_TRANSFORMS.has(operator)) {
+        return methodCall(method, [toPythonLiteral(value), ...formatKeywordArgs(options)]);
+    }
+    return methodCall(method, formatKeywordArgs({ [operator]: value, ...options }));
+}
+
+function translateBinding(bind) {
+    if (!isPlainObject(bind) || typeof bind.input !== 'string') {
+        return toPythonLiteral(bind);
+    }
+    const { input, ...options } = bind;
+    if (['range', 'select', 'radio', 'checkbox'].includes(input)) {
+        return formatPythonCall(`alt.binding_${input}`, formatKeywordArgs(options));
+    }
+    return formatPythonCall('alt.binding', [`input=${toPythonLiteral(input)}`, ...formatKeywordArgs(options)]);
+}
+
+// Interval selection bound to the scales that nothing else refers to: Altair's .interactive()
+function getInteractiveShortcut(param, context) {
+    const select = typeof param.select === 'string' ? { type: param.select } : param.select;
+    const keys = Object.keys(param);
+    if (!isPlainObject(select) || select.type !== 'interval' || param.bind !== 'scales'
+        || !keys.every(key => ['name', 'select', 'bind'].includes(key))
+        || !Object.keys(select).every(key => ['type', 'encodings'].includes(key))
+        || context.specText.includes(`"param":${JSON.stringify(param.name)}`)) {
+        return null;
+    }
+
+    const encodings = select.encodings || ['x', 'y'];
+    if (encodings.length === 1 && encodings[0] === 'x') return methodCall('interactive', ['bind_y=False']);
+    if (encodings.length === 1 && encodings[0] === 'y') return methodCall('interactive', ['bind_x=False']);
+    return encodings.length === 2 && encodings.includes('x') && encodings.includes('y') ? methodCall('interactive') : null;
+}
+
+// Define a variable per parameter (alt.selection_point / alt.selection_interval / alt.param)
+// and return the calls adding them to the chart
+function translateParams(params, context) {
+    const calls = [];
+    const variables = [];
+
+    for (const param of params) {
+        if (!isPlainObject(param) || typeof param.name !== 'string') {
+            throw new Error('unsupported parameter definition');
+        }
+
+        const shortcut = getInteractiveShortcut(param, context);
+        if (shortcut) {
+            calls.push(shortcut);
+            continue;
+        }
+
+        const { name, select, bind, views, ...options } = param;
+        if (views !== undefined) {
+            throw new Error('parameters with "views" are not supported');
+        }
+        const args = [`name=${toPythonLiteral(name)}`];
+        let factory = 'alt.param';
+
+        if (select !== undefined) {
+            const { type, ...selectOptions } = typeof select === 'string' ? { type: select } : select;
+            factory = type === 'interval' ? 'alt.selection_interval' : 'alt.selection_point';
+            args.push(...formatKeywordArgs(selectOptions));
+        }
+        args.push(...formatKeywordArgs(options));
+        if (bind !== undefined) {
+            args.push(`bind=${translateBinding(bind)}`);
+        }
+
+        const variable = getPythonVariableName(name, context);
+        context.paramVariables.set(name, variable);
+        context.statements.push(`${variable} = ${formatPythonCall(factory, args)}`);
+        variables.push(variable);
+    }
+
+    if (variables.length > 0) {
+        calls.unshift(methodCall('add_params', variables));
+    }
+    return calls;
+}
+
+function formatPropertyValue(value, key) {
+    if (key === 'title' && isPlainObject(value) && value.text !== undefined && Object.keys(value).every(isPythonIdentifier)) {
+        const { text, ...options } = value;
+        return formatPythonCall('alt.Title', [toPythonLiteral(text), ...formatKeywordArgs(options)]);
+    }
+    return toPythonLiteral(value);
+}
+
+// Transforms, parameters, resolve and the remaining view properties, in Altair's usual chain order
+function translateViewTail(view, context, paramCalls) {
+    const { transform, resolve, ...properties } = view;
+    const calls = (transform || []).map(transformItem => translateTransform(transformItem, context));
+    calls.push(...paramCalls);
+
+    for (const [kind, options] of Object.entries(resolve || {})) {
+        if (!['scale', 'axis', 'legend'].includes(kind)) {
+            throw new Error(`unsupported resolve property "${kind}"`);
+        }
+        calls.push(methodCall(`resolve_${kind}`, formatKeywordArgs(options)));
+    }
+
+    if (Object.keys(properties).length > 0) {
+        calls.push(methodCall('properties', formatKeywordArgs(properties, formatPropertyValue)));
+    }
+    return calls;
+}
+
+function translateUnit(spec, context, paramCalls, chartExpression) {
+    const { mark, encoding, data, projection, ...rest } = spec;
+
+    const calls = [translateMark(mark)];
+    if (encoding) calls.push(translateEncoding(encoding, context));
+    if (projection) calls.push(methodCall('project', formatKeywordArgs(projection)));
+    calls.push(...translateViewTail(rest, context, paramCalls));
+
+    const chart = chartExpression || formatPythonCall('alt.Chart', data ? [translateData(data, context)] : []);
+    return formatPythonChain(chart, calls);
+}
+
+function translateLayer(spec, context, paramCalls) {
+    const { layer, data, encoding, ...rest } = spec;
+    let children;
+
+    if (encoding && layer.length > 1 && layer.every(child => 'mark' in child && !child.data)) {
+        // Shared encoding: base = alt.Chart().encode(...), then alt.layer(base.mark_line(), base.mark_point())
+        const base = getPythonVariableName('base', context);
+        children = layer.map(child => translateSpec(child, context, base));
+        context.statements.push(`${base} = ${formatPythonChain('alt.Chart()', [translateEncoding(encoding, context)])}`);
+    } else {
+        // Layers inherit the shared encoding, overriding individual channels
+        children = layer.map(child => translateSpec(
+            encoding ? { ...child, encoding: { ...encoding, ...(child.encoding || {}) } } : child,
+            context
+        ));
+    }
+
+    const args = data ? [...children, `data=${translateData(data, context)}`] : children;
+    return formatPythonChain(formatPythonCall('alt.layer', args), translateViewTail(rest, context, paramCalls));
+}
+
+function translateConcat(spec, operator, context, paramCalls) {
+    const { [operator]: views, data, columns, ...rest } = spec;
+    const args = views.map(view => translateSpec(view, context));
+    if (data) args.push(`data=${translateData(data, context)}`);
+    if (columns !== undefined) args.push(`columns=${toPythonLiteral(columns)}`);
+    return formatPythonChain(formatPythonCall(`alt.${operator}`, args), translateViewTail(rest, context, paramCalls));
+}
+
+// Facets wrap the inner chart: alt.Chart(source).mark_point().encode(...).facet(column="site:N")
+function translateFacet(spec, context, paramCalls) {
+    const { facet, spec: innerSpec, data, columns, ...rest } = spec;
+    if (data && innerSpec.data) {
+        throw new Error('facets with data on both levels are not supported');
+    }
+
+    const inner = translateSpec(data ? { ...innerSpec, data } : innerSpec, context);
+    const isMapping = Object.keys(facet).length > 0 && Object.keys(facet).every(key => key === 'row' || key === 'column');
+    const args = isMapping
+        ? Object.entries(facet).map(([channel, definition]) => `${channel}=${translateChannel(channel, definition, context)}`)
+        : [`facet=${translateChannel('facet', facet, context)}`];
+    if (columns !== undefined) args.push(`columns=${toPythonLiteral(columns)}`);
+
+    return formatPythonChain(inner, [methodCall('facet', args), ...translateViewTail(rest, context, paramCalls)]);
+}
+
+// Python expression for a view; parameters are translated first so conditions and filters can refer to their variables.
+// Unit views start their chain from chartExpression when given (a shared base chart).
+function translateSpec(spec, context, chartExpression) {
+    if (!isPlainObject(spec)) {
+        throw new Error('unsupported view definition');
+    }
+    const { params, ...view } = spec;
+    const paramCalls = params ? translateParams(params, context) : [];
+
+    if (Array.isArray(view.layer)) return translateLayer(view, context, paramCalls);
+    for (const operator of ['hconcat', 'vconcat', 'concat']) {
+        if (Array.isArray(view[operator])) return translateConcat(view, operator, context, paramCalls);
+    }
+    if (isPlainObject(view.facet) && isPlainObject(view.spec)) return translateFacet(view, context, paramCalls);
+    if ('repeat' in view) {
+        throw new Error('repeat views are not supported');
+    }
+    if ('mark' in view) return translateUnit(view, context, paramCalls, chartExpression);
+    throw new Error('unsupported view definition');
+}
+
+function translateConfig(config) {
+    const general = {};
+    const sections = [];
+    for (const [key, value] of Object.entries(config)) {
+        if (ALTAIR_CONFIGURE_SECTIONS.has(key) && isPlainObject(value)) {
+            sections.push(methodCall(`configure_${key}`, formatKeywordArgs(value)));
+        } else {
+            general[key] = value;
+        }
+    }
+    return Object.keys(general).length > 0 ? [methodCall('configure', formatKeywordArgs(general)), ...sections] : sections;
+}
+
+// Copy of the spec with Astrolabe dataset references replaced by their data (from_dict() can't resolve them)
+function inlineDatasetReferences(spec, datasets) {
+    const inlined = JSON.parse(JSON.stringify(spec));
+
+    function traverse(obj) {
+        if (!obj || typeof obj !== 'object') return;
+        if (isPlainObject(obj.data) && datasets.has(obj.data.name)) {
+            const dataset = datasets.get(obj.data.name);
+            obj.data = dataset.source === 'url'
+                ? { url: dataset.data, format: { type: dataset.format } }
+                : { values: dataset.data, format: { type: dataset.format } };
+        }
+        Object.values(obj).forEach(traverse);
+    }
+
+    traverse(inlined);
+    return inlined;
+}
+
+// Python (Altair) code for a Vega-Lite spec; datasets maps the referenced Astrolabe dataset names to their records.
+// Returns { code, fallbackReason } where fallbackReason is set when the code uses alt.Chart.from_dict()
+function generateAltairCode(spec, datasets = new Map()) {
+    const { $schema, config, datasets: specDatasets, ...topLevelView } = spec;
+    const context = {
+        datasets,
+        specDatasets: specDatasets || {},
+        specText: JSON.stringify(spec),
+        usedNames: new Set(['alt', 'pd', 'json', 'chart']),
+        dataVariables: new Map(),
+        paramVariables: new Map(),
+        dataStatements: [],
+        statements: [],
+        imports: new Set()
+    };
+
+    let chart;
+    let fallbackReason = null;
+    try {
+        chart = formatPythonChain(translateSpec(topLevelView, context), config ? translateConfig(config) : []);
+    } catch (error) {
+        fallbackReason = error.message;
+    }
+
+    if (fallbackReason) {
+        return {
+            code: [
+                'import altair as alt',
+                '',
+                `# Not translated to the Altair API (${fallbackReason}),`,
+                '# so the chart is built from its Vega-Lite JSON',
+                `chart = alt.Chart.from_dict(${toPythonLiteral(inlineDatasetReferences(spec, datasets))})`,
+                '',
+                'chart',
+                ''
+            ].join('\n'),
+            fallbackReason
+        };
+    }
+
+    const lines = [];
+    if (context.imports.has('json')) lines.push('import json', '');
+    lines.push('import altair as alt');
+    if (context.imports.has('pandas')) lines.push('import pandas as pd');
+    lines.push('');
+
+    for (const block of [context.dataStatements, context.statements]) {
+        if (block.length > 0) lines.push(...block, '');
+    }
+
+    lines.push(`chart = ${chart}`, '', 'chart', '');
+    return { code: lines.join('\n'), fallbackReason: null };
+}
+
+// Load the Astrolabe datasets a spec refers to, keyed by name
+async function loadReferencedDatasets(spec) {
+    const datasets = new Map();
+    for (const name of extractDatasetRefs(spec)) {
+        const dataset = await DatasetStorage.getDatasetByName(name);
+        if (dataset) datasets.set(name, dataset);
+    }
+    return datasets;
+}
+
+// Copy the spec in the editor (with the live variable values) to the clipboard as Altair code
+async function copyAsAltair() {
+    let spec;
+    try {
+        spec = JSON.parse(editor.getValue());
+    } catch (error) {
+        Toast.error('Fix the JSON errors in the editor first');
+        return;
+    }
+
+    try {
+        spec = await resolveLibraryReferences(spec, getLiveVariableValues());
+    } catch (error) {
+        Toast.error(`Cannot convert to Altair: ${error.message}`);
+        return;
+    }
+
+    if (getVegaEditorMode(spec) === 'vega') {
+        Toast.error('Altair only supports Vega-Lite specs');
+        return;
+    }
+
+    const { code, fallbackReason } = generateAltairCode(spec, await loadReferencedDatasets(spec));
+    try {
+        await navigator.clipboard.writeText(code);
+    } catch (error) {
+        Toast.error(`Could not copy to clipboard: ${error.message}`);
+        return;
+    }
+
+    if (fallbackReason) {
+        Toast.warning(`Altair code copied using alt.Chart.from_dict() (${fallbackReason})`);
+    } else {
+        Toast.success('Altair code copied to clipboard');
+    }
+
+    // Track event
+    Analytics.track('altair-export', fallbackReason ? 'Copy as Altair (from_dict fallback)' : 'Copy as Altair');
+}
@@ -32,17 +32,23 @@ document.addEventListener('DOMContentLoaded', function () {
     const theme = getSetting('ui.theme') || 'light';
     document.documentElement.setAttribute('data-theme', theme);
 
+    // Keep lists and the open snippet in sync with other tabs
+    initializeTabSync();
+
     // Initialize snippet storage and render list (async)
-    initializeSnippetsStorage().then(() => {
-        // Render snippet list (now handled reactively by Alpine)
-        renderSnippetList();
+    initializeSnippetsStorage().then(async () => {
+        // Reload snippet list now that storage is initialized (and migrated)
+        await renderSnippetList();
 
         // Update storage monitor
         updateStorageMonitor();
 
+        // Permanently delete trash items past the retention period
+        purgeExpiredTrash();
+
         // Auto-select first snippet on page load (only if no hash in URL)
         if (!window.location.hash) {
-            const firstSnippet = SnippetStorage.listSnippets()[0];
+            const firstSnippet = (await SnippetStorage.listSnippets())[0];
             if (firstSnippet) {
                 selectSnippet(firstSnippet.id);
             }
@@ -114,6 +120,12 @@ document.addEventListener('DOMContentLoaded', function () {
         // Register custom keyboard shortcuts in Monaco
         registerMonacoKeyboardShortcuts();
 
+        // Fragment name completion and go-to-definition for "$include"
+        registerFragmentProviders();
+
+        // Suggest the columns of the dataset in scope inside "field" values
+        registerFieldCompletionProvider();
+
         // Add debounced auto-render on editor change
         editor.onDidChangeModelContent(() => {
             debouncedRender();
@@ -152,9 +164,14 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     }
 
+    const vegaImportLink = document.getElementById('vega-import-link');
+    if (vegaImportLink) {
+        vegaImportLink.addEventListener('click', importFromVegaEditor);
+    }
+
     if (exportLink) {
         exportLink.addEventListener('click', function () {
-            exportSnippets();
+            openExportDialog();
         });
     }
 
@@ -176,6 +193,24 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Settings buttons and UI interactions now handled by Alpine.js in settingsPanel() component
 
+    // Themes
+    const themesLink = document.getElementById('themes-link');
+    if (themesLink) {
+        themesLink.addEventListener('click', () => openThemeManager());
+    }
+
+    // Fragments
+    const fragmentsLink = document.getElementById('fragments-link');
+    if (fragmentsLink) {
+        fragmentsLink.addEventListener('click', () => openFragmentManager());
+    }
+
+    // Dashboards
+    const dashboardsLink = document.getElementById('dashboards-link');
+    if (dashboardsLink) {
+        dashboardsLink.addEventListener('click', openDashboardManager);
+    }
+
     // Dataset Manager
     const datasetsLink = document.getElementById('datasets-link');
     const toggleDatasetsBtn = document.getElementById('toggle-datasets');
@@ -297,7 +332,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
 
     // Publish and Revert buttons
-    document.getElementById('publish-btn').addEventListener('click', publishDraft);
+    document.getElementById('publish-btn').addEventListener('click', publishDraftWithMessage);
     document.getElementById('revert-btn').addEventListener('click', revertDraft);
 
     // Extract to Dataset button
@@ -323,7 +358,19 @@ document.addEventListener('DOMContentLoaded', function () {
 function handleURLStateChange() {
     const state = URLState.parse();
 
-    if (state.view === 'datasets') {
+    // Navigating away (e.g. browser back) ends a running presentation
+    if (state.view !== 'presentation') {
+        stopPresentation(false);
+    }
+
+    if (state.view === 'presentation') {
+        const { slide, ...source } = state.presentation;
+        if (!isPresentingSource(source)) {
+            startPresentation(source, { slide, fullscreen: false, updateURL: false });
+        } else if (slide !== Alpine.store('presentation').index) {
+            showPresentationSlide(slide, false);
+        }
+    } else if (state.view === 'datasets') {
         // Open dataset modal
         openDatasetManager(false); // Don't update URL
 
@@ -348,6 +395,18 @@ function handleURLStateChange() {
                 }
             }
         }
+    } else if (state.view === 'dashboard') {
+        // Close dataset modal if open
+        const modal = document.getElementById('dataset-modal');
+        if (modal && modal.style.display === 'flex') {
+            closeDatasetManager(false);
+        }
+
+        // Open dashboard - extract numeric ID from "dashboard-123456"
+        const numericId = parseFloat(state.dashboardId.replace('dashboard-', ''));
+        if (!isNaN(numericId)) {
+            openDashboard(numericId, false);
+        }
     } else if (state.snippetId) {
         // Close dataset modal if open
         const modal = document.getElementById('dataset-modal');
@@ -358,6 +417,9 @@ function handleURLStateChange() {
         // Select snippet
         const numericId = parseFloat(state.snippetId.replace('snippet-', ''));
         selectSnippet(numericId, false);
+    } else if (state.view === 'snippets') {
+        // Empty hash (e.g. back from a dashboard opened with nothing selected)
+        closeDashboard(false);
     }
 }
 
@@ -0,0 +1,180 @@
+// Batch render - render the published specs of selected snippets offscreen and download
+// the images with a manifest as a ZIP archive
+
+// Alpine.js component for the batch render dialog
+function batchRender() {
+    return {
+        snippetIds: [],
+        format: 'png', // 'png' | 'svg' | 'both'
+        scale: '2',
+        running: false,
+        cancelRequested: false,
+        done: 0,
+        results: [], // [{ id, name, files, error }]
+
+        async init() {
+            // Listen for refresh events dispatched by openBatchRenderDialog()
+            this.$el.addEventListener('batch-render-refresh', (event) => {
+                this.snippetIds = event.detail.snippetIds;
+                this.results = [];
+                this.done = 0;
+            });
+        },
+
+        get total() {
+            return this.snippetIds.length;
+        },
+
+        get progressPercent() {
+            return this.total > 0 ? Math.round(this.done / this.total * 100) : 0;
+        },
+
+        get failures() {
+            return this.results.filter(result => result.error);
+        },
+
+        get finished() {
+            return !this.running && this.results.length > 0;
+        },
+
+        async start() {
+            this.running = true;
+            this.cancelRequested = false;
+            this.done = 0;
+            this.results = [];
+
+            try {
+                await renderSnippetsToArchive(this.snippetIds, {
+                    format: this.format,
+                    scale: Number(this.scale),
+                    onProgress: (result) => {
+                        this.results.push(result);
+                        this.done++;
+                    },
+                    isCancelled: () => this.cancelRequested
+                });
+            } finally {
+                this.running = false;
+            }
+        },
+
+        cancel() {
+            if (this.running) {
+                this.cancelRequested = true;
+            } else {
+                ModalManager.close('batch-render-modal');
+            }
+        }
+    };
+}
+
+// Open the batch render dialog for the given snippets
+function openBatchRenderDialog(snippetIds) {
+    if (snippetIds.length === 0) return;
+
+    ModalManager.open('batch-render-modal');
+
+    const batchView = document.getElementById('batch-render-view');
+    if (batchView) {
+        batchView.dispatchEvent(new CustomEvent('batch-render-refresh', {
+            detail: { snippetIds: [...snippetIds] }
+        }));
+    }
+}
+
+// Render one snippet's published spec (with its variable defaults) to image files: [{ name, data }]
+async function renderSnippetImages(snippet, baseName, format, scale) {
+    const view = await createExportView(await resolveLibraryReferences(snippet.spec, getVariableDefaults(snippet)));
+    try {
+        const files = [];
+        if (format === 'svg' || format === 'both') {
+            files.push({ name: `${baseName}.svg`, data: await view.toSVG() });
+        }
+        if (format === 'png' || format === 'both') {
+            const png = await canvasToBlob(await view.toCanvas(scale), 'image/png');
+            files.push({ name: `${baseName}.png`, data: new Uint8Array(await png.arrayBuffer()) });
+        }
+        return files;
+    } finally {
+        view.finalize();
+    }
+}
+
+// Render snippets one by one, reporting each result, then download the ZIP archive
+async function renderSnippetsToArchive(snippetIds, { format, scale, onProgress, isCancelled }) {
+    const snippets = await loadSnippetsById(snippetIds);
+    const files = [];
+    const manifestCharts = [];
+    const usedNames = new Set();
+
+    for (const snippet of snippets) {
+        if (isCancelled()) break;
+
+        // Unique file name per snippet (names aren't unique in the library)
+        const safeName = snippet.name.replace(/[^a-zA-Z0-9_-]/g, '_') || 'chart';
+        let baseName = safeName;
+        for (let counter = 2; usedNames.has(baseName); counter++) {
+            baseName = `${safeName}_${counter}`;
+        }
+        usedNames.add(baseName);
+
+        const result = { id: snippet.id, name: snippet.name, files: [], error: null };
+        try {
+            const images = await renderSnippetImages(snippet, baseName, format, scale);
+            files.push(...images);
+            result.files = images.map(image => image.name);
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        manifestCharts.push({
+            id: snippet.id,
+            name: snippet.name,
+            modified: snippet.modified,
+            datasets: extractDatasetRefs(snippet.spec),
+            files: result.files,
+            ...(result.error ? { error: result.error } : {})
+        });
+        onProgress(result);
+
+        // Let the progress bar repaint between charts
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    if (isCancelled()) {
+        Toast.info('Batch render cancelled');
+        return;
+    }
+
+    const rendered = manifestCharts.filter(chart => !chart.error).length;
+    if (rendered === 0) {
+        Toast.error('None of the selected snippets could be rendered');
+        return;
+    }
+
+    const manifest = {
+        version: "1.0",
+        exportedAt: new Date().toISOString(),
+        exportedBy: "Astrolabe",
+        format,
+        scale: format === 'svg' ? null : scale,
+        charts: manifestCharts
+    };
+    files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+    downloadFile(
+        createZipArchive(files),
+        `astrolabe-charts-${new Date().toISOString().slice(0, 10)}.zip`,
+        'application/zip'
+    );
+
+    const failed = manifestCharts.length - rendered;
+    if (failed > 0) {
+        Toast.warning(`Rendered ${formatSnippetCount(rendered)}, ${failed} failed (see the list for details)`);
+    } else {
+        Toast.success(`Rendered ${formatSnippetCount(rendered)}`);
+    }
+
+    // Track event
+    Analytics.track('batch-render', `Batch render ${rendered} snippets as ${format}`);
+}
@@ -230,11 +230,13 @@ function chartBuilder() {
                     comment: `Chart built from dataset: ${datasetNameToSave}`,
                     tags: [],
                     datasetRefs: [datasetNameToSave],
+                    versions: [],
+                    folder: '',
                     meta: {}
                 };
 
                 // Save snippet
-                SnippetStorage.saveSnippet(snippet);
+                await SnippetStorage.saveSnippet(snippet);
 
                 // Close modals
                 this.close();
@@ -242,8 +244,8 @@ function chartBuilder() {
                 if (datasetModal) datasetModal.style.display = 'none';
 
                 // Refresh snippet list and select the new snippet
-                renderSnippetList();
-                selectSnippet(snippet.id);
+                await renderSnippetList();
+                await selectSnippet(snippet.id);
 
                 // Show success message
                 Toast.success(`Created snippet: ${snippetName}`);
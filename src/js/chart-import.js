@@ -0,0 +1,233 @@
+// Chart import - extract the Vega-Lite specs embedded in Jupyter notebook outputs and HTML pages
+// (vegaEmbed calls, Altair and Astrolabe HTML exports) and import them as snippets through the import preview
+
+const VEGA_LITE_MIME_PATTERN = /^application\/vnd\.vegalite\.v\d+\+json$/;
+const VEGA_LITE_VIEW_KEYS = ['mark', 'layer', 'concat', 'hconcat', 'vconcat', 'facet', 'repeat'];
+
+function isChartImportFile(fileName) {
+    return /\.(ipynb|html?)$/i.test(fileName);
+}
+
+// Declares a Vega-Lite $schema, or has no $schema but a view and data
+function looksLikeVegaLiteSpec(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    if (typeof value.$schema === 'string') {
+        return /vega-lite/.test(value.$schema);
+    }
+    return VEGA_LITE_VIEW_KEYS.some(key => key in value) && ('data' in value || 'datasets' in value);
+}
+
+function getChartTitle(spec) {
+    const title = spec.title && typeof spec.title === 'object' ? spec.title.text : spec.title;
+    const text = Array.isArray(title) ? title.join(' ') : title;
+    return typeof text === 'string' && text.trim() ? text.trim() : null;
+}
+
+// Index of the brace closing the object that starts at start (string contents are skipped), or -1
+function findObjectEnd(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"' || char === "'" || char === '`') {
+            for (i++; i < text.length && text[i] !== char; i++) {
+                if (text[i] === '\\') i++;
+            }
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+// Every Vega-Lite spec written as a JSON object in script code: `var spec = {...}`,
+// `vegaEmbed("#vis", {...})`, Altair's `})({...}, embedOpt)` or a JSON script block
+function extractSpecsFromScript(text) {
+    const specs = [];
+    const candidate = /\{\s*"/g;
+    let match;
+
+    while ((match = candidate.exec(text)) !== null) {
+        const end = findObjectEnd(text, match.index);
+        if (end === -1) break;
+
+        let value = null;
+        try {
+            value = JSON.parse(text.slice(match.index, end + 1));
+        } catch (error) {
+            // Not JSON (regular script code) - keep scanning inside it
+        }
+
+        if (looksLikeVegaLiteSpec(value)) {
+            specs.push(value);
+            candidate.lastIndex = end + 1;
+        }
+    }
+    return specs;
+}
+
+// [{ name, spec }] for the charts of an HTML page
+function extractChartsFromHtml(html, pageName) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    // Astrolabe's own HTML export keeps all specs in one JSON block, with the snippet names as headings
+    const astrolabeSpecs = doc.getElementById('astrolabe-specs');
+    if (astrolabeSpecs) {
+        const headings = Array.from(doc.querySelectorAll('section.chart h2'));
+        return JSON.parse(astrolabeSpecs.textContent).map((spec, index) => ({
+            name: headings[index] ? headings[index].textContent.trim() : (getChartTitle(spec) || pageName),
+            spec
+        }));
+    }
+
+    return Array.from(doc.querySelectorAll('script:not([src])'))
+        .flatMap(script => extractSpecsFromScript(script.textContent))
+        .map(spec => ({ name: getChartTitle(spec) || pageName, spec }));
+}
+
+// A notebook cell is named after its first comment line ("# Sales by region"), or its position
+function getNotebookCellName(cell, index, notebookName) {
+    const source = Array.isArray(cell.source) ? cell.source.join('') : (cell.source || '');
+    const comment = source.split('\n').map(line => line.trim()).find(line => /^#\s*\S/.test(line));
+    return comment ? comment.replace(/^#+\s*/, '') : `${notebookName} cell ${index + 1}`;
+}
+
+// [{ name, spec }] for the charts in the outputs of a notebook's code cells
+function extractChartsFromNotebook(text, notebookName) {
+    const notebook = JSON.parse(text);
+    if (!Array.isArray(notebook.cells)) {
+        throw new Error('Not a Jupyter notebook (nbformat 4)');
+    }
+
+    const charts = [];
+    notebook.cells.forEach((cell, index) => {
+        if (cell.cell_type !== 'code') return;
+
+        const specs = [];
+        for (const output of cell.outputs || []) {
+            const data = output.data || {};
+            const mimeType = Object.keys(data).find(type => VEGA_LITE_MIME_PATTERN.test(type));
+            if (mimeType) {
+                specs.push(typeof data[mimeType] === 'string' ? JSON.parse(data[mimeType]) : data[mimeType]);
+            } else if (data['text/html']) {
+                // Altair's HTML renderer embeds the spec in a vegaEmbed script
+                const html = Array.isArray(data['text/html']) ? data['text/html'].join('') : data['text/html'];
+                specs.push(...extractChartsFromHtml(html, '').map(chart => chart.spec));
+            }
+        }
+
+        const cellName = getNotebookCellName(cell, index, notebookName);
+        specs.forEach((spec, specIndex) => {
+            charts.push({
+                name: getChartTitle(spec) || (specs.length > 1 ? `${cellName} (${specIndex + 1})` : cellName),
+                spec
+            });
+        });
+    });
+    return charts;
+}
+
+// Only data Astrolabe datasets can hold as-is is moved: JSON records or CSV/TSV text without extra format options
+function getExtractableDataFormat(values, format) {
+    const formatKeys = format ? Object.keys(format) : [];
+    if (formatKeys.some(key => key !== 'type')) return null;
+
+    const type = format && format.type;
+    if (Array.isArray(values) && (!type || type === 'json')) return 'json';
+    if (typeof values === 'string' && (type === 'csv' || type === 'tsv')) return type;
+    return null;
+}
+
+// Build unified import data ({ snippets, datasets }) for the extracted charts. With extractData, inline
+// data (data.values and Altair's top-level "datasets") moves into datasets that identical data shares;
+// otherwise named "datasets" entries are inlined, since Astrolabe resolves data.name from its own datasets.
+function buildChartImportData(charts, extractData, fileName) {
+    const datasets = [];
+    const datasetNamesByContent = new Map();
+    const usedDatasetNames = new Set();
+    const usedSnippetNames = new Set();
+
+    const snippets = charts.map(chart => {
+        let name = chart.name;
+        for (let counter = 2; usedSnippetNames.has(name); counter++) {
+            name = `${chart.name} (${counter})`;
+        }
+        usedSnippetNames.add(name);
+
+        const spec = JSON.parse(JSON.stringify(chart.spec));
+        const specDatasets = spec.datasets || {};
+
+        const toDatasetReference = (values, format) => {
+            const key = JSON.stringify([format, values]);
+            if (!datasetNamesByContent.has(key)) {
+                const baseName = `${name}_data`.replace(/[^a-zA-Z0-9_-]/g, '_');
+                let datasetName = baseName;
+                for (let counter = 2; usedDatasetNames.has(datasetName); counter++) {
+                    datasetName = `${baseName}_${counter}`;
+                }
+                usedDatasetNames.add(datasetName);
+                datasetNamesByContent.set(key, datasetName);
+                datasets.push({ name: datasetName, data: values, format, source: 'inline', comment: `Extracted from chart "${name}"` });
+            }
+            return { name: datasetNamesByContent.get(key) };
+        };
+
+        // Views whose data resolveDatasetReferences() resolves (see NESTED_SPEC_KEYS)
+        (function visit(view) {
+            if (!view || typeof view !== 'object') return;
+
+            const data = view.data;
+            if (data && typeof data === 'object') {
+                const { name: dataName, ...rest } = data;
+                const isNamed = typeof dataName === 'string' && dataName in specDatasets;
+                const values = isNamed ? specDatasets[dataName] : data.values;
+
+                if (values !== undefined && (dataName === undefined || isNamed)) {
+                    const format = extractData ? getExtractableDataFormat(values, data.format) : null;
+                    view.data = format ? toDatasetReference(values, format) : { ...rest, values };
+                }
+            }
+
+            NESTED_SPEC_KEYS.forEach(key => {
+                (Array.isArray(view[key]) ? view[key] : [view[key]]).forEach(visit);
+            });
+        })(spec);
+
+        // Keep only the "datasets" entries still referenced (e.g. by lookup transforms)
+        if (spec.datasets) {
+            const referenced = extractDatasetRefs(spec);
+            Object.keys(spec.datasets).forEach(datasetName => {
+                if (!referenced.includes(datasetName)) delete spec.datasets[datasetName];
+            });
+            if (Object.keys(spec.datasets).length === 0) delete spec.datasets;
+        }
+
+        const snippet = createSnippet(spec, name);
+        snippet.comment = `Imported from ${fileName}`;
+        snippet.tags = ['imported'];
+        snippet.datasetRefs = extractDatasetRefs(spec);
+        return snippet;
+    });
+
+    return buildProjectExport(snippets, datasets);
+}
+
+// Extract the charts of a notebook or HTML file and open the import preview for them
+function importChartsFromFile(text, fileName) {
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    const charts = /\.ipynb$/i.test(fileName)
+        ? extractChartsFromNotebook(text, baseName)
+        : extractChartsFromHtml(text, baseName);
+
+    if (charts.length === 0) {
+        Toast.info(`No Vega-Lite charts found in ${fileName}`);
+        return;
+    }
+
+    openImportPreview(buildChartImportData(charts, true, fileName), fileName, { charts });
+
+    // Track event
+    Analytics.track('chart-import', `Import ${charts.length} charts from ${/\.ipynb$/i.test(fileName) ? 'notebook' : 'HTML'}`);
+}
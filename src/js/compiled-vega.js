@@ -0,0 +1,117 @@
+// Compiled Vega viewer - a read-only tab next to the editor showing what the draft compiles to,
+// for debugging Vega-Lite specs, with an option to fork the output into a raw Vega snippet
+
+let compiledVegaEditor = null;
+let compiledVegaSpec = null; // Last compiled output with its data values (what gets forked)
+
+// Alpine.js store for the editor panel tab and its options
+document.addEventListener('alpine:init', () => {
+    Alpine.store('compiledVega', {
+        visible: false,
+        hideDataValues: true,
+        error: null
+    });
+});
+
+// Switch the editor panel between the spec editor and the compiled Vega tab
+function showCompiledVega(visible) {
+    Alpine.store('compiledVega').visible = visible;
+    if (visible) {
+        updateCompiledVega();
+
+        // Track event
+        Analytics.track('compiled-vega-view', 'Open compiled Vega tab');
+    }
+}
+
+// Read-only Monaco editor for the compiled output, created the first time the tab opens
+function getCompiledVegaEditor() {
+    if (!compiledVegaEditor) {
+        const editorSettings = getSetting('editor') || {};
+        compiledVegaEditor = monaco.editor.create(document.getElementById('compiled-vega-editor'), {
+            value: '',
+            language: 'json',
+            readOnly: true,
+            fontSize: editorSettings.fontSize || 12,
+            minimap: { enabled: !!editorSettings.minimap },
+            scrollBeyondLastLine: false,
+            automaticLayout: true,
+            wordWrap: editorSettings.wordWrap || 'on',
+            lineNumbers: editorSettings.lineNumbers || 'on',
+            tabSize: editorSettings.tabSize || 2
+        });
+    }
+    return compiledVegaEditor;
+}
+
+// Copy of a Vega spec with data values replaced by a row count, so the dataflow is readable
+function hideVegaDataValues(vegaSpec) {
+    const copy = JSON.parse(JSON.stringify(vegaSpec));
+
+    (function traverse(obj) {
+        if (!obj || typeof obj !== 'object') return;
+        if (Array.isArray(obj.data)) {
+            obj.data.forEach(entry => {
+                if (entry && entry.values !== undefined) {
+                    const count = Array.isArray(entry.values) ? `${entry.values.length} rows` : 'inline text';
+                    entry.values = `(${count} hidden)`;
+                }
+            });
+        }
+        Object.values(obj).forEach(traverse);
+    })(copy);
+
+    return copy;
+}
+
+// Compile the draft of the open snippet (or the editor content when none is open)
+async function compileDraftToVega() {
+    const snippet = await getCurrentSnippet();
+    const draftSpec = snippet ? await getSpecForImageExport(snippet, 'draft') : await resolveLibraryReferences(JSON.parse(editor.getValue()));
+    const resolvedSpec = await resolveDatasetReferences(draftSpec);
+
+    // Raw Vega snippets are shown as they are
+    return getVegaEditorMode(resolvedSpec) === 'vega' ? resolvedSpec : window.vegaLite.compile(resolvedSpec).spec;
+}
+
+// Refresh the compiled output (called when the tab opens, on option changes and after each render)
+async function updateCompiledVega() {
+    const store = Alpine.store('compiledVega');
+    if (!store || !store.visible) return;
+
+    try {
+        compiledVegaSpec = await compileDraftToVega();
+        store.error = null;
+    } catch (error) {
+        compiledVegaSpec = null;
+        store.error = error.message;
+    }
+
+    const shownSpec = compiledVegaSpec && store.hideDataValues ? hideVegaDataValues(compiledVegaSpec) : compiledVegaSpec;
+    getCompiledVegaEditor().setValue(shownSpec ? JSON.stringify(shownSpec, null, 2) : '');
+}
+
+// Save the compiled output (with its data) as a new raw Vega snippet and open it
+async function forkCompiledVega() {
+    const snippet = await getCurrentSnippet();
+    if (!compiledVegaSpec) {
+        Toast.error('Nothing to fork - the draft does not compile');
+        return;
+    }
+
+    const name = `${snippet ? snippet.name : 'Untitled'} (compiled Vega)`;
+    const newSnippet = createSnippet(JSON.parse(JSON.stringify(compiledVegaSpec)), name);
+    newSnippet.comment = `Compiled from ${snippet ? `"${snippet.name}"` : 'a Vega-Lite spec'} with Vega-Lite ${window.vegaLite.version}`;
+    newSnippet.tags = snippet ? normalizeTags(snippet.tags) : [];
+    newSnippet.folder = snippet ? snippet.folder || '' : '';
+
+    if (!(await SnippetStorage.saveSnippet(newSnippet))) return;
+
+    showCompiledVega(false);
+    await renderSnippetList();
+    await selectSnippet(newSnippet.id);
+    Toast.success(`Created "${name}"`);
+
+    // Track event
+    Analytics.track('compiled-vega-fork', 'Fork compiled Vega into a snippet');
+}
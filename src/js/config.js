@@ -1,6 +1,13 @@
 // Application version (update with each release)
 const APP_VERSION = '0.4.0';
 
+// Vega runtime (UMD builds) - loaded by the editor and inlined into standalone HTML exports
+const VEGA_RUNTIME_URLS = {
+    vega: 'https://unpkg.com/vega@5/build/vega.min.js',
+    vegaLite: 'https://unpkg.com/vega-lite@5/build/vega-lite.min.js',
+    vegaEmbed: 'https://unpkg.com/vega-embed@6/build/vega-embed.min.js'
+};
+
 // Global variables and configuration
 let editor; // Global editor instance
 let renderTimeout; // For debouncing
@@ -23,35 +30,51 @@ const URLState = {
     // Parse current hash into state object
     parse() {
         const hash = window.location.hash.slice(1); // Remove '#'
-        if (!hash) return { view: 'snippets', snippetId: null, datasetId: null, action: null };
+        if (!hash) return { view: 'snippets', snippetId: null, datasetId: null, dashboardId: null, action: null, presentation: null };
 
         const parts = hash.split('/');
 
         // #snippet-123456
         if (hash.startsWith('snippet-')) {
-            return { view: 'snippets', snippetId: hash, datasetId: null, action: null };
+            return { view: 'snippets', snippetId: hash, datasetId: null, dashboardId: null, action: null, presentation: null };
+        }
+
+        // #dashboard-123456
+        if (hash.startsWith('dashboard-')) {
+            return { view: 'dashboard', snippetId: null, datasetId: null, dashboardId: hash, action: null, presentation: null };
+        }
+
+        // #present/folder/Reports%2FQ1/3 (source type, encoded value, 1-based slide)
+        if (parts[0] === 'present' && parts.length === 4 && PRESENTATION_SOURCE_TYPES.includes(parts[1])) {
+            const value = decodeURIComponent(parts[2]);
+            const presentation = {
+                type: parts[1],
+                value: parts[1] === 'selection' ? value.split(',').map(Number) : value,
+                slide: Math.max(0, (parseInt(parts[3], 10) || 1) - 1)
+            };
+            return { view: 'presentation', snippetId: null, datasetId: null, dashboardId: null, action: null, presentation };
         }
 
         // #datasets
         if (parts[0] === 'datasets') {
             if (parts.length === 1) {
-                return { view: 'datasets', snippetId: null, datasetId: null, action: null };
+                return { view: 'datasets', snippetId: null, datasetId: null, dashboardId: null, action: null, presentation: null };
             }
             // #datasets/new
             if (parts[1] === 'new') {
-                return { view: 'datasets', snippetId: null, datasetId: 'new', action: null };
+                return { view: 'datasets', snippetId: null, datasetId: 'new', dashboardId: null, action: null, presentation: null };
             }
             // #datasets/dataset-123456/build (chart builder)
             if (parts.length === 3 && parts[2] === 'build' && parts[1].startsWith('dataset-')) {
-                return { view: 'datasets', snippetId: null, datasetId: parts[1], action: 'build' };
+                return { view: 'datasets', snippetId: null, datasetId: parts[1], dashboardId: null, action: 'build', presentation: null };
             }
             // #datasets/edit-dataset-123456 or #datasets/dataset-123456
             if (parts[1].startsWith('edit-') || parts[1].startsWith('dataset-')) {
-                return { view: 'datasets', snippetId: null, datasetId: parts[1], action: null };
+                return { view: 'datasets', snippetId: null, datasetId: parts[1], dashboardId: null, action: null, presentation: null };
             }
         }
 
-        return { view: 'snippets', snippetId: null, datasetId: null, action: null };
+        return { view: 'snippets', snippetId: null, datasetId: null, dashboardId: null, action: null, presentation: null };
     },
 
     // Update URL hash without triggering hashchange
@@ -75,6 +98,16 @@ const URLState = {
             } else {
                 hash = '#datasets';
             }
+        } else if (state.view === 'presentation' && state.presentation) {
+            const { type, value, slide } = state.presentation;
+            const encodedValue = encodeURIComponent(type === 'selection' ? value.join(',') : value);
+            hash = `#present/${type}/${encodedValue}/${slide + 1}`;
+        } else if (state.view === 'dashboard' && state.dashboardId) {
+            // Add 'dashboard-' prefix if not already present
+            const dashboardId = typeof state.dashboardId === 'string' && state.dashboardId.startsWith('dashboard-')
+                ? state.dashboardId
+                : `dashboard-${state.dashboardId}`;
+            hash = `#${dashboardId}`;
         } else if (state.snippetId) {
             // Add 'snippet-' prefix if not already present
             const snippetId = typeof state.snippetId === 'string' && state.snippetId.startsWith('snippet-')
@@ -252,7 +285,17 @@ const ModalManager = {
         'help-modal': ['modal-help', 'Open Help modal'],
         'donate-modal': ['modal-donate', 'Open Donate modal'],
         'settings-modal': ['modal-settings', 'Open Settings modal'],
-        'dataset-modal': ['modal-dataset', 'Open Dataset Manager']
+        'dataset-modal': ['modal-dataset', 'Open Dataset Manager'],
+        'version-diff-modal': ['modal-version-diff', 'Open version diff'],
+        'tag-manager-modal': ['modal-tag-manager', 'Open Tag Manager'],
+        'export-modal': ['modal-export', 'Open Export dialog'],
+        'import-modal': ['modal-import', 'Open Import preview'],
+        'image-export-modal': ['modal-image-export', 'Open Image export'],
+        'batch-render-modal': ['modal-batch-render', 'Open Batch render'],
+        'html-export-modal': ['modal-html-export', 'Open HTML export'],
+        'dashboard-modal': ['modal-dashboard', 'Open Dashboards'],
+        'theme-modal': ['modal-theme', 'Open Themes'],
+        'fragment-modal': ['modal-fragment', 'Open Fragments']
     },
 
     open(modalId, shouldTrack = true) {
@@ -286,7 +329,7 @@ const ModalManager = {
 
     // Close any open modal (for ESC key handler)
     closeAny() {
-        const modalIds = ['chart-builder-modal', 'help-modal', 'donate-modal', 'settings-modal', 'dataset-modal', 'extract-modal'];
+        const modalIds = ['chart-builder-modal', 'help-modal', 'donate-modal', 'settings-modal', 'dataset-modal', 'extract-modal', 'version-diff-modal', 'tag-manager-modal', 'export-modal', 'import-modal', 'image-export-modal', 'batch-render-modal', 'html-export-modal', 'dashboard-modal', 'theme-modal', 'fragment-modal'];
         for (const modalId of modalIds) {
             if (this.isOpen(modalId)) {
                 // Special handling for chart builder to properly update URL
@@ -307,7 +350,18 @@ function formatBytes(bytes) {
     if (bytes === null || bytes === undefined) return 'N/A';
     if (bytes < 1024) return `${bytes} B`;
     if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+// Shared utility: Escape HTML special characters (for x-html output and generated HTML)
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // Sample Vega-Lite specification
@@ -0,0 +1,462 @@
+// Dashboards - documents that arrange existing snippets on a grid. Each tile references a snippet
+// by ID and shows its draft or published spec; dashboards render in the preview panel and tiles
+// re-render whenever the snippet they show changes (here or in another tab).
+
+const DASHBOARD_DEFAULT_COLUMNS = 2;
+const DASHBOARD_DEFAULT_TILE_HEIGHT = 300;
+
+const dashboardTileViews = new Map(); // Tile ID -> Vega view, finalized when the tile goes away
+
+// Alpine.js store for the dashboard shown in the preview panel
+document.addEventListener('alpine:init', () => {
+    Alpine.store('dashboards', {
+        currentDashboardId: null,
+        currentDashboardName: ''
+    });
+});
+
+// Alpine.js component for the dashboard list (Dashboards modal)
+function dashboardList() {
+    return {
+        dashboards: [],
+
+        async init() {
+            await this.loadDashboards();
+
+            // Listen for refresh events dispatched by openDashboardManager() and storage changes
+            this.$el.addEventListener('dashboard-list-refresh', async () => {
+                await this.loadDashboards();
+            });
+        },
+
+        async loadDashboards() {
+            const dashboards = await DashboardStorage.loadDashboards();
+            this.dashboards = dashboards.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+        },
+
+        describe(dashboard) {
+            const count = dashboard.items.length;
+            return `${count} chart${count !== 1 ? 's' : ''} · modified ${formatSnippetDate(dashboard.modified)}`;
+        },
+
+        isOpen(dashboard) {
+            return Alpine.store('dashboards').currentDashboardId === dashboard.id;
+        },
+
+        async create() {
+            await createNewDashboard();
+        },
+
+        open(dashboard) {
+            ModalManager.close('dashboard-modal');
+            openDashboard(dashboard.id);
+        },
+
+        async rename(dashboard) {
+            await renameDashboard(dashboard.id);
+        },
+
+        async remove(dashboard) {
+            await deleteDashboard(dashboard.id);
+        }
+    };
+}
+
+// Alpine.js component for the open dashboard in the preview panel (grid and composer controls)
+function dashboardView() {
+    return {
+        dashboard: null,
+        snippets: [], // Library, for tile titles and the "Add chart" picker
+        editing: false,
+        newTileSnippetId: '',
+
+        async init() {
+            // Listen for refresh events dispatched by openDashboard() and storage changes
+            this.$el.addEventListener('dashboard-refresh', async () => {
+                await this.loadDashboard();
+            });
+        },
+
+        async loadDashboard() {
+            const dashboardId = Alpine.store('dashboards').currentDashboardId;
+            this.dashboard = dashboardId !== null ? await DashboardStorage.getDashboard(dashboardId) : null;
+            this.snippets = await SnippetStorage.listSnippets('name', 'asc');
+            if (!this.dashboard) this.editing = false;
+
+            await this.$nextTick();
+            await renderDashboardTiles(this.dashboard);
+        },
+
+        get gridStyle() {
+            return { gridTemplateColumns: `repeat(${this.dashboard.columns}, minmax(0, 1fr))` };
+        },
+
+        tileStyle(item) {
+            return {
+                gridColumn: `span ${Math.min(item.span, this.dashboard.columns)}`,
+                height: `${item.height}px`
+            };
+        },
+
+        tileTitle(item) {
+            const snippet = this.snippets.find(s => s.id === item.snippetId);
+            return snippet ? snippet.name : 'Missing snippet';
+        },
+
+        openTileSnippet(item) {
+            if (this.snippets.some(s => s.id === item.snippetId)) {
+                selectSnippet(item.snippetId);
+            }
+        },
+
+        async addTile() {
+            const snippetId = Number(this.newTileSnippetId);
+            this.newTileSnippetId = '';
+            if (!snippetId) return;
+
+            this.dashboard.items.push(createDashboardTile(snippetId));
+            await this.save();
+        },
+
+        async moveTile(index, offset) {
+            const items = this.dashboard.items;
+            const target = index + offset;
+            if (target < 0 || target >= items.length) return;
+
+            [items[index], items[target]] = [items[target], items[index]];
+            await this.save();
+        },
+
+        async removeTile(index) {
+            this.dashboard.items.splice(index, 1);
+            await this.save();
+        },
+
+        // Persist composer changes; a plain copy is stored since Alpine wraps the object in a proxy
+        async save() {
+            const dashboard = JSON.parse(JSON.stringify(this.dashboard));
+            if (!(await DashboardStorage.saveDashboard(dashboard))) return;
+
+            this.dashboard.modified = dashboard.modified;
+            await this.$nextTick();
+            await renderDashboardTiles(this.dashboard);
+        },
+
+        close() {
+            closeDashboard();
+        }
+    };
+}
+
+// IndexedDB wrapper for dashboards (shares the database opened in dataset-manager.js)
+const DashboardStorage = {
+    async init() {
+        if (!db) {
+            await initializeDatasetDB();
+        }
+        return db;
+    },
+
+    async loadDashboards() {
+        try {
+            await this.init();
+
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction([DASHBOARD_STORE_NAME], 'readonly');
+                const request = transaction.objectStore(DASHBOARD_STORE_NAME).getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to load dashboards from IndexedDB:', error);
+            return [];
+        }
+    },
+
+    async getDashboard(id) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([DASHBOARD_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(DASHBOARD_STORE_NAME).get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Save dashboard (add or update)
+    async saveDashboard(dashboard) {
+        try {
+            await this.init();
+            dashboard.modified = new Date().toISOString();
+
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([DASHBOARD_STORE_NAME], 'readwrite');
+                transaction.objectStore(DASHBOARD_STORE_NAME).put(dashboard);
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+
+            updateStorageMonitor();
+            broadcastStorageChange('dashboards', [dashboard.id]);
+            return true;
+        } catch (error) {
+            console.error('Failed to save dashboard to IndexedDB:', error);
+            Toast.error('Failed to save dashboard: Storage quota may be exceeded.');
+            return false;
+        }
+    },
+
+    async deleteDashboard(id) {
+        try {
+            await this.init();
+
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([DASHBOARD_STORE_NAME], 'readwrite');
+                const request = transaction.objectStore(DASHBOARD_STORE_NAME).delete(id);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+
+            updateStorageMonitor();
+            broadcastStorageChange('dashboards', [id]);
+            return true;
+        } catch (error) {
+            console.error('Failed to delete dashboard from IndexedDB:', error);
+            Toast.error('Failed to delete dashboard');
+            return false;
+        }
+    }
+};
+
+function createDashboard(name) {
+    const now = new Date().toISOString();
+
+    return {
+        id: generateSnippetId(),
+        name,
+        created: now,
+        modified: now,
+        columns: DASHBOARD_DEFAULT_COLUMNS,
+        items: [] // Tiles in grid order (see createDashboardTile)
+    };
+}
+
+function createDashboardTile(snippetId) {
+    return {
+        id: `tile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        snippetId,
+        version: 'published', // 'published' | 'draft'
+        span: 1, // Grid columns the tile covers
+        height: DASHBOARD_DEFAULT_TILE_HEIGHT
+    };
+}
+
+// Open the Dashboards modal
+function openDashboardManager() {
+    ModalManager.open('dashboard-modal');
+    refreshDashboardList();
+}
+
+function refreshDashboardList() {
+    const listView = document.getElementById('dashboard-list-view');
+    if (listView) {
+        listView.dispatchEvent(new CustomEvent('dashboard-list-refresh'));
+    }
+}
+
+function refreshDashboardView() {
+    const dashboardViewElement = document.getElementById('dashboard-view');
+    if (dashboardViewElement) {
+        dashboardViewElement.dispatchEvent(new CustomEvent('dashboard-refresh'));
+    }
+}
+
+// Ask for a name, create an empty dashboard and open it in edit mode
+async function createNewDashboard() {
+    const name = prompt('Dashboard name:', 'New Dashboard');
+    if (name === null) return;
+
+    const dashboard = createDashboard(name.trim() || 'New Dashboard');
+    if (!(await DashboardStorage.saveDashboard(dashboard))) return;
+
+    ModalManager.close('dashboard-modal');
+    await openDashboard(dashboard.id);
+
+    const dashboardViewElement = document.getElementById('dashboard-view');
+    if (dashboardViewElement && dashboardViewElement._x_dataStack) {
+        dashboardViewElement._x_dataStack[0].editing = true;
+    }
+
+    Toast.success(`Created dashboard "${dashboard.name}"`);
+
+    // Track event
+    Analytics.track('dashboard-create', 'Create dashboard');
+}
+
+async function renameDashboard(dashboardId) {
+    const dashboard = await DashboardStorage.getDashboard(dashboardId);
+    if (!dashboard) return;
+
+    const name = prompt('Rename dashboard:', dashboard.name);
+    if (name === null || !name.trim() || name.trim() === dashboard.name) return;
+
+    dashboard.name = name.trim();
+    if (!(await DashboardStorage.saveDashboard(dashboard))) return;
+
+    if (Alpine.store('dashboards').currentDashboardId === dashboardId) {
+        Alpine.store('dashboards').currentDashboardName = dashboard.name;
+    }
+    refreshDashboardList();
+}
+
+// Dashboards only reference snippets, so deleting one leaves every snippet in place
+async function deleteDashboard(dashboardId) {
+    const dashboard = await DashboardStorage.getDashboard(dashboardId);
+    if (!dashboard) return;
+
+    if (!confirm(`Delete dashboard "${dashboard.name}"? The snippets it shows are not affected.`)) return;
+    if (!(await DashboardStorage.deleteDashboard(dashboardId))) return;
+
+    if (Alpine.store('dashboards').currentDashboardId === dashboardId) {
+        closeDashboard();
+    }
+    refreshDashboardList();
+    Toast.success(`Deleted dashboard "${dashboard.name}"`);
+
+    // Track event
+    Analytics.track('dashboard-delete', 'Delete dashboard');
+}
+
+// Show a dashboard in the preview panel
+async function openDashboard(dashboardId, updateURL = true) {
+    const dashboard = await DashboardStorage.getDashboard(dashboardId);
+    if (!dashboard) {
+        Toast.error('Dashboard not found');
+        return;
+    }
+
+    Alpine.store('dashboards').currentDashboardId = dashboard.id;
+    Alpine.store('dashboards').currentDashboardName = dashboard.name;
+    refreshDashboardView();
+
+    if (updateURL) {
+        URLState.update({ view: 'dashboard', dashboardId: dashboard.id });
+    }
+
+    // Track event
+    Analytics.track('dashboard-open', 'Open dashboard');
+}
+
+// Return the preview panel to the open snippet
+function closeDashboard(updateURL = true) {
+    if (Alpine.store('dashboards').currentDashboardId === null) return;
+
+    Alpine.store('dashboards').currentDashboardId = null;
+    Alpine.store('dashboards').currentDashboardName = '';
+    refreshDashboardView();
+
+    if (updateURL) {
+        const snippetId = Alpine.store('snippets').currentSnippetId;
+        if (snippetId !== null) {
+            URLState.update({ view: 'snippets', snippetId }, true);
+        } else {
+            URLState.clear();
+        }
+    }
+
+    // The chart was rendered while hidden, so fit modes need a fresh render
+    renderVisualization();
+}
+
+// Render the tiles of the open dashboard. A tile is only re-rendered when its spec (theme included)
+// or size changed since the last render, so refreshing after unrelated saves is cheap.
+async function renderDashboardTiles(dashboard) {
+    const tileIds = new Set(dashboard ? dashboard.items.map(item => item.id) : []);
+    dashboardTileViews.forEach((view, tileId) => {
+        if (!tileIds.has(tileId)) {
+            view.finalize();
+            dashboardTileViews.delete(tileId);
+        }
+    });
+    if (!dashboard) return;
+
+    for (const item of dashboard.items) {
+        const container = document.querySelector(`[data-tile-id="${item.id}"] .dashboard-tile-chart`);
+        if (!container) continue;
+
+        const snippet = await SnippetStorage.getSnippet(item.snippetId);
+        let spec = null;
+        let resolveError = null;
+        if (snippet) {
+            const sourceSpec = item.version === 'draft' ? snippet.draftSpec : snippet.spec;
+            try {
+                spec = await resolveLibraryReferences(sourceSpec, getVariableDefaults(snippet));
+            } catch (error) {
+                resolveError = error.message;
+            }
+        }
+        const renderKey = JSON.stringify([spec, resolveError, item.span, item.height, dashboard.columns]);
+        if (container.dataset.renderKey === renderKey) continue;
+        container.dataset.renderKey = renderKey;
+
+        if (dashboardTileViews.has(item.id)) {
+            dashboardTileViews.get(item.id).finalize();
+            dashboardTileViews.delete(item.id);
+        }
+
+        if (!snippet) {
+            showDashboardTileError(container, 'This snippet was deleted. Remove the tile or restore the snippet from the trash.');
+            continue;
+        }
+        if (resolveError) {
+            showDashboardTileError(container, `Rendering Error: ${resolveError}`);
+            continue;
+        }
+
+        try {
+            const tileSpec = applyPreviewFitMode(await resolveDatasetReferences(spec), 'width');
+            const result = await window.vegaEmbed(container, tileSpec, { actions: false, renderer: 'svg' });
+            dashboardTileViews.set(item.id, result.view);
+        } catch (error) {
+            showDashboardTileError(container, `Rendering Error: ${error.message}`);
+        }
+    }
+}
+
+function showDashboardTileError(container, message) {
+    const errorElement = document.createElement('div');
+    errorElement.className = 'dashboard-tile-error';
+    errorElement.textContent = message;
+    container.replaceChildren(errorElement);
+}
+
+// Called whenever the snippet library changed (renderSnippetList) - tiles whose snippet was
+// republished, edited, renamed, deleted or restored pick up the change
+function refreshOpenDashboard() {
+    if (Alpine.store('dashboards').currentDashboardId !== null) {
+        refreshDashboardView();
+    }
+}
+
+// A dashboard changed in another tab
+async function handleDashboardStorageChange(dashboardIds) {
+    refreshDashboardList();
+
+    const currentId = Alpine.store('dashboards').currentDashboardId;
+    if (currentId === null || !dashboardIds.includes(currentId)) return;
+
+    const dashboard = await DashboardStorage.getDashboard(currentId);
+    if (dashboard) {
+        Alpine.store('dashboards').currentDashboardName = dashboard.name;
+        refreshDashboardView();
+    } else {
+        closeDashboard();
+        Toast.info('The open dashboard was deleted in another tab');
+    }
+}
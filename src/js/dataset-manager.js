@@ -16,6 +16,7 @@ document.addEventListener('alpine:init', () => {
 function datasetList() {
     return {
         datasets: [],
+        usageCounts: {},
 
         async init() {
             await this.loadDatasets();
@@ -30,6 +31,7 @@ function datasetList() {
             this.datasets = await DatasetStorage.listDatasets();
             // Sort by modified date (most recent first) - keeping existing behavior
             this.datasets.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+            this.usageCounts = await countSnippetUsageByDataset();
         },
 
         formatMeta(dataset) {
@@ -46,7 +48,7 @@ function datasetList() {
         },
 
         getUsageCount(dataset) {
-            return countSnippetUsage(dataset.name);
+            return this.usageCounts[dataset.name] || 0;
         },
 
         selectDataset(datasetId) {
@@ -58,6 +60,25 @@ function datasetList() {
 // Alpine.js component for dataset details panel
 function datasetDetails() {
     return {
+        linkedSnippets: [],
+
+        init() {
+            // Snippets live in IndexedDB, so linked snippets are loaded whenever the dataset changes
+            this.$watch('$store.datasets.currentDatasetData', () => this.loadLinkedSnippets());
+        },
+
+        async loadLinkedSnippets() {
+            if (!this.dataset) {
+                this.linkedSnippets = [];
+                return;
+            }
+            const datasetName = this.dataset.name;
+            const snippets = await SnippetStorage.loadSnippets();
+            this.linkedSnippets = snippets.filter(snippet =>
+                snippet.datasetRefs && snippet.datasetRefs.includes(datasetName)
+            );
+        },
+
         get dataset() {
             return this.$store.datasets.currentDatasetData;
         },
@@ -91,14 +112,6 @@ function datasetDetails() {
             return this.dataset && window.urlPreviewCache && window.urlPreviewCache[this.dataset.id];
         },
 
-        get linkedSnippets() {
-            if (!this.dataset) return [];
-            const snippets = SnippetStorage.loadSnippets();
-            return snippets.filter(snippet =>
-                snippet.datasetRefs && snippet.datasetRefs.includes(this.dataset.name)
-            );
-        },
-
         formatBytes(bytes) {
             return formatBytes(bytes);
         },
@@ -142,20 +155,39 @@ function datasetDetails() {
     };
 }
 
+// Database name kept for backwards compatibility - it now also holds snippets
 const DB_NAME = 'astrolabe-datasets';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 const STORE_NAME = 'datasets';
+const SNIPPET_STORE_NAME = 'snippets';
+const TRASH_STORE_NAME = 'trash';
+const DASHBOARD_STORE_NAME = 'dashboards';
+const THEME_STORE_NAME = 'themes';
+const FRAGMENT_STORE_NAME = 'fragments';
 
 let db = null;
 
-// Initialize IndexedDB
+// Initialize IndexedDB (shared by DatasetStorage, SnippetStorage, TrashStorage, DashboardStorage, ThemeStorage and FragmentStorage)
 function initializeDatasetDB() {
     return new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
 
         request.onerror = () => reject(request.error);
+
+        // A tab still running an older version holds the database open; the upgrade waits until it closes
+        request.onblocked = () => {
+            Toast.warning('Astrolabe is open in another tab with an older version. Close the other tabs to finish updating your library.');
+        };
+
         request.onsuccess = () => {
             db = request.result;
+
+            // Let a newer version opened in another tab upgrade the schema
+            db.onversionchange = () => {
+                db.close();
+                db = null;
+            };
+
             resolve(db);
         };
 
@@ -168,6 +200,36 @@ function initializeDatasetDB() {
                 objectStore.createIndex('name', 'name', { unique: true });
                 objectStore.createIndex('modified', 'modified', { unique: false });
             }
+
+            // v2: snippets moved from localStorage to one record per snippet
+            if (!db.objectStoreNames.contains(SNIPPET_STORE_NAME)) {
+                const snippetStore = db.createObjectStore(SNIPPET_STORE_NAME, { keyPath: 'id' });
+                snippetStore.createIndex('modified', 'modified', { unique: false });
+            }
+
+            // v3: deleted snippets and datasets are kept in a trash store until purged
+            if (!db.objectStoreNames.contains(TRASH_STORE_NAME)) {
+                const trashStore = db.createObjectStore(TRASH_STORE_NAME, { keyPath: 'trashId', autoIncrement: true });
+                trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+
+            // v4: dashboards arranging snippets on a grid
+            if (!db.objectStoreNames.contains(DASHBOARD_STORE_NAME)) {
+                const dashboardStore = db.createObjectStore(DASHBOARD_STORE_NAME, { keyPath: 'id' });
+                dashboardStore.createIndex('modified', 'modified', { unique: false });
+            }
+
+            // v5: named Vega-Lite configs (themes) that specs refer to by name
+            if (!db.objectStoreNames.contains(THEME_STORE_NAME)) {
+                const themeStore = db.createObjectStore(THEME_STORE_NAME, { keyPath: 'id' });
+                themeStore.createIndex('name', 'name', { unique: true });
+            }
+
+            // v6: named spec fragments that specs include by name
+            if (!db.objectStoreNames.contains(FRAGMENT_STORE_NAME)) {
+                const fragmentStore = db.createObjectStore(FRAGMENT_STORE_NAME, { keyPath: 'id' });
+                fragmentStore.createIndex('name', 'name', { unique: true });
+            }
         };
     });
 }
@@ -274,17 +336,18 @@ const DatasetStorage = {
     },
 
     // Create new dataset
-    async createDataset(name, data, format, source, comment = '') {
+    // Imports pass the id and timestamps of the exported dataset to recreate it as it was
+    async createDataset(name, data, format, source, comment = '', { id, created, modified } = {}) {
         await this.init();
 
         const now = new Date().toISOString();
         const stats = calculateDatasetStats(data, format, source);
 
         const dataset = {
-            id: generateDatasetId(),
+            id: id !== undefined ? id : generateDatasetId(),
             name: name.trim(),
-            created: now,
-            modified: now,
+            created: created || now,
+            modified: modified || created || now,
             data: data, // For inline: actual data, for URL: the URL string
             format: format, // 'json', 'csv', 'tsv', or 'topojson'
             source: source, // 'inline' or 'url'
@@ -297,7 +360,10 @@ const DatasetStorage = {
             const store = transaction.objectStore(STORE_NAME);
             const request = store.add(dataset);
 
-            request.onsuccess = () => resolve(dataset);
+            request.onsuccess = () => {
+                broadcastStorageChange('datasets', [dataset.id]);
+                resolve(dataset);
+            };
             request.onerror = () => reject(request.error);
         });
     },
@@ -382,7 +448,10 @@ const DatasetStorage = {
             const store = transaction.objectStore(STORE_NAME);
             const request = store.put(dataset);
 
-            request.onsuccess = () => resolve(dataset);
+            request.onsuccess = () => {
+                broadcastStorageChange('datasets', [dataset.id]);
+                resolve(dataset);
+            };
             request.onerror = () => reject(request.error);
         });
     },
@@ -396,7 +465,10 @@ const DatasetStorage = {
             const store = transaction.objectStore(STORE_NAME);
             const request = store.delete(id);
 
-            request.onsuccess = () => resolve(true);
+            request.onsuccess = () => {
+                broadcastStorageChange('datasets', [id]);
+                resolve(true);
+            };
             request.onerror = () => reject(request.error);
         });
     },
@@ -414,13 +486,25 @@ async function getCurrentDataset() {
 }
 
 // Count how many snippets use a specific dataset
-function countSnippetUsage(datasetName) {
-    const snippets = SnippetStorage.loadSnippets();
+async function countSnippetUsage(datasetName) {
+    const snippets = await SnippetStorage.loadSnippets();
     return snippets.filter(snippet =>
         snippet.datasetRefs && snippet.datasetRefs.includes(datasetName)
     ).length;
 }
 
+// Count snippet usage for every dataset at once (keyed by dataset name)
+async function countSnippetUsageByDataset() {
+    const snippets = await SnippetStorage.loadSnippets();
+    const counts = {};
+    snippets.forEach(snippet => {
+        (snippet.datasetRefs || []).forEach(name => {
+            counts[name] = (counts[name] || 0) + 1;
+        });
+    });
+    return counts;
+}
+
 // Fetch URL data and calculate metadata
 async function fetchURLMetadata(url, format) {
     try {
@@ -522,6 +606,9 @@ async function renderDatasetList() {
             });
         }
     }
+
+    // Thumbnails of snippets using a changed dataset are re-rendered
+    refreshGalleryThumbnails();
 }
 
 // Select a dataset and show details
@@ -881,9 +968,11 @@ function closeDatasetManager(updateURL = true) {
         hideNewDatasetForm(false);
     }
 
-    // Update URL state - restore snippet if one is selected
+    // Update URL state - restore the open dashboard, or the snippet if one is selected
     if (updateURL) {
-        if (Alpine.store('snippets').currentSnippetId) {
+        if (Alpine.store('dashboards').currentDashboardId !== null) {
+            URLState.update({ view: 'dashboard', dashboardId: Alpine.store('dashboards').currentDashboardId });
+        } else if (Alpine.store('snippets').currentSnippetId) {
             URLState.update({ view: 'snippets', snippetId: Alpine.store('snippets').currentSnippetId, datasetId: null });
         } else {
             URLState.clear();
@@ -1503,19 +1592,25 @@ async function deleteCurrentDataset() {
     if (!dataset) return;
 
     // Check if dataset is in use
-    const usageCount = countSnippetUsage(dataset.name);
+    const usageCount = await countSnippetUsage(dataset.name);
     const warningMessage = usageCount > 0
-        ? `⚠️ Warning: Dataset "${dataset.name}" is currently used by ${usageCount} snippet${usageCount !== 1 ? 's' : ''}.\n\nDeleting this dataset will break those visualizations.`
+        ? `⚠️ Warning: Dataset "${dataset.name}" is currently used by ${usageCount} snippet${usageCount !== 1 ? 's' : ''}.\n\nDeleting this dataset will break those visualizations until it is restored from the trash.`
         : null;
 
     confirmGenericDeletion(dataset.name, warningMessage, async () => {
-        await DatasetStorage.deleteDataset(dataset.id);
+        try {
+            await TrashStorage.moveToTrash('dataset', dataset);
+        } catch (error) {
+            Toast.error(`Failed to delete dataset: ${error.message}`);
+            return;
+        }
         document.getElementById('dataset-details').style.display = 'none';
         Alpine.store('datasets').currentDatasetId = null;
         await renderDatasetList();
+        refreshTrashView();
 
         // Show success message
-        Toast.success('Dataset deleted');
+        Toast.success('Dataset moved to trash');
 
         // Track event
         trackEventIfAvailable('dataset-delete', 'Delete dataset');
@@ -1801,7 +1896,7 @@ async function autoSaveDatasetMeta() {
         }
 
         // Check if any snippets reference this dataset
-        const snippets = SnippetStorage.loadSnippets();
+        const snippets = await SnippetStorage.loadSnippets();
         const affectedSnippets = snippets.filter(snippet =>
             snippet.datasetRefs && snippet.datasetRefs.includes(dataset.name)
         );
@@ -1833,12 +1928,12 @@ async function autoSaveDatasetMeta() {
 
     // If name changed, update all snippets that reference this dataset
     if (nameChanged && newName) {
-        const snippets = SnippetStorage.loadSnippets();
+        const snippets = await SnippetStorage.loadSnippets();
         const affectedSnippets = snippets.filter(snippet =>
             snippet.datasetRefs && snippet.datasetRefs.includes(oldName)
         );
 
-        affectedSnippets.forEach(snippet => {
+        for (const snippet of affectedSnippets) {
             // Update spec and draftSpec by replacing dataset name references
             snippet.spec = replaceDatasetNameInSpec(snippet.spec, oldName, newName);
             snippet.draftSpec = replaceDatasetNameInSpec(snippet.draftSpec, oldName, newName);
@@ -1849,8 +1944,11 @@ async function autoSaveDatasetMeta() {
                 snippet.datasetRefs = extractDatasetRefs(snippet.spec);
             }
 
-            SnippetStorage.saveSnippet(snippet);
-        });
+            await SnippetStorage.saveSnippet(snippet);
+        }
+
+        // Refresh snippet list so renamed references are picked up
+        await renderSnippetList();
 
         // Show success message
         if (affectedSnippets.length > 0) {
@@ -52,6 +52,13 @@ function applyPreviewFitMode(spec, fitMode) {
     return modifiedSpec;
 }
 
+// Copy of a spec with its fragment includes expanded, the template variables substituted and the
+// referenced theme merged into the config - everything from the library except datasets
+async function resolveLibraryReferences(spec, variableValues = {}) {
+    const expanded = await expandFragmentIncludes(spec);
+    return resolveThemeReference(substituteTemplateVariables(expanded, variableValues));
+}
+
 // Resolve dataset references in a spec
 async function resolveDatasetReferences(spec) {
     // If spec has data.name, look it up
@@ -134,7 +141,14 @@ async function renderVisualization() {
         const specText = editor.getValue();
         let spec = JSON.parse(specText);
 
-        // Resolve dataset references
+        // Expand fragment includes (fragments may contain placeholders too)
+        spec = await expandFragmentIncludes(spec);
+
+        // Substitute template variables with the live values of the variables panel
+        spec = applyLiveTemplateVariables(spec);
+
+        // Merge the referenced theme into the config and resolve dataset references
+        spec = await resolveThemeReference(spec);
         spec = await resolveDatasetReferences(spec);
 
         // Apply preview fit mode
@@ -149,6 +163,9 @@ async function renderVisualization() {
         // Hide overlay after successful render
         hidePreviewOverlay();
 
+        // Keep the compiled Vega tab in step with the draft
+        updateCompiledVega();
+
     } catch (error) {
         // Handle rendering errors gracefully
         previewContainer.innerHTML = `
@@ -162,6 +179,9 @@ async function renderVisualization() {
 
         // Hide overlay after error
         hidePreviewOverlay();
+
+        // The compiled Vega tab shows the compile error too
+        updateCompiledVega();
     }
 }
 
@@ -236,15 +256,15 @@ function loadVegaLibraries() {
 
         // Load Vega
         const vegaScript = document.createElement('script');
-        vegaScript.src = 'https://unpkg.com/vega@5/build/vega.min.js';
+        vegaScript.src = VEGA_RUNTIME_URLS.vega;
         vegaScript.onload = () => {
             // Load Vega-Lite
             const vegaLiteScript = document.createElement('script');
-            vegaLiteScript.src = 'https://unpkg.com/vega-lite@5/build/vega-lite.min.js';
+            vegaLiteScript.src = VEGA_RUNTIME_URLS.vegaLite;
             vegaLiteScript.onload = () => {
                 // Load Vega-Embed
                 const vegaEmbedScript = document.createElement('script');
-                vegaEmbedScript.src = 'https://unpkg.com/vega-embed@6/build/vega-embed.min.js';
+                vegaEmbedScript.src = VEGA_RUNTIME_URLS.vegaEmbed;
                 vegaEmbedScript.onload = () => {
                     // Restore AMD define
                     window.define = originalDefine;
@@ -0,0 +1,199 @@
+// Dataset-aware field completion - inside "field" values the Monaco editor suggests the columns of the
+// dataset in scope (the nearest data.name of the enclosing spec, layer or concat), with their detected
+// types. Choosing a field in an encoding channel without a type also suggests the matching type.
+
+const VEGA_LITE_FIELD_TYPES = ['quantitative', 'temporal', 'ordinal', 'nominal'];
+
+let lastCompletionSpec = null; // Last spec that parsed, used while the editor content is incomplete
+
+// Path of keys and array indexes leading to an offset of a JSON text (works on incomplete JSON)
+function getJsonPathAt(text, offset) {
+    const frames = []; // { type: 'object', key, expectKey } | { type: 'array', index }
+
+    for (let i = 0; i < offset; i++) {
+        const char = text[i];
+        const frame = frames[frames.length - 1];
+
+        if (char === '"') {
+            let end = i + 1;
+            while (end < text.length && text[end] !== '"') {
+                end += text[end] === '\\' ? 2 : 1;
+            }
+            if (end >= offset) break; // The offset is inside this string
+
+            if (frame && frame.type === 'object' && frame.expectKey) {
+                try {
+                    frame.key = JSON.parse(text.slice(i, end + 1));
+                } catch (error) {
+                    frame.key = text.slice(i + 1, end);
+                }
+            }
+            i = end;
+        } else if (char === '{') {
+            frames.push({ type: 'object', key: null, expectKey: true });
+        } else if (char === '[') {
+            frames.push({ type: 'array', index: 0 });
+        } else if (char === '}' || char === ']') {
+            frames.pop();
+        } else if (char === ':' && frame && frame.type === 'object') {
+            frame.expectKey = false;
+        } else if (char === ',' && frame) {
+            if (frame.type === 'object') {
+                frame.key = null;
+                frame.expectKey = true;
+            } else {
+                frame.index++;
+            }
+        }
+    }
+
+    return frames.map(frame => frame.type === 'object' ? frame.key : frame.index);
+}
+
+// The editor's spec: parsed now if possible, otherwise as of the last time it parsed
+function getCompletionSpec(model) {
+    try {
+        lastCompletionSpec = JSON.parse(model.getValue());
+    } catch (error) {
+        // Keep the last spec that parsed
+    }
+    return lastCompletionSpec;
+}
+
+// Name of the dataset in scope at a path: the deepest spec along the path (the top-level spec or one
+// nested under the keys traverseSpec follows) with a data.name wins, as Vega-Lite layers inherit data
+function getDatasetNameInScope(spec, path) {
+    const getDataName = (node) => node && node.data && typeof node.data.name === 'string' ? node.data.name : null;
+
+    let name = getDataName(spec);
+    let node = spec;
+    for (let i = 0; i < path.length && node && typeof node === 'object'; i++) {
+        node = node[path[i]];
+
+        const isNestedSpec = NESTED_SPEC_KEYS.includes(path[i])
+            ? !Array.isArray(node)
+            : typeof path[i] === 'number' && NESTED_SPEC_KEYS.includes(path[i - 1]);
+        if (isNestedSpec && getDataName(node)) {
+            name = getDataName(node);
+        }
+    }
+    return name;
+}
+
+// Value at a path of a spec (undefined when the path doesn't exist)
+function getSpecValueAt(spec, path) {
+    return path.reduce((node, key) => node && typeof node === 'object' ? node[key] : undefined, spec);
+}
+
+// [{ name, type }] for the columns of a dataset, type being the detected column type ('number', 'date', ...)
+function getDatasetColumns(dataset) {
+    const columnTypes = dataset.columnTypes || [];
+    return (dataset.columns || []).map(column => {
+        const columnType = columnTypes.find(ct => ct.name === column);
+        return { name: column, type: columnType ? columnType.type : null };
+    });
+}
+
+// Dots and brackets in a column name would otherwise address nested fields
+function escapeFieldName(name) {
+    return name.replace(/[.[\]\\]/g, '\\$&');
+}
+
+// Range of the string value being typed: from its start to the closing quote (or the cursor)
+function getStringValueRange(model, position, prefix) {
+    const after = model.getLineContent(position.lineNumber).slice(position.column - 1);
+    const closing = after.indexOf('"');
+    const end = position.column + (closing === -1 ? 0 : closing);
+    return {
+        range: new monaco.Range(position.lineNumber, position.column - prefix.length, position.lineNumber, end),
+        hasClosingQuote: closing !== -1
+    };
+}
+
+async function provideFieldCompletions(model, position, prefix) {
+    const spec = getCompletionSpec(model);
+    if (!spec) return [];
+
+    const path = getJsonPathAt(model.getValue(), model.getOffsetAt(position));
+    const datasetName = getDatasetNameInScope(spec, path);
+    if (!datasetName) return [];
+
+    const dataset = await DatasetStorage.getDatasetByName(datasetName);
+    if (!dataset) return [];
+
+    // Fields of encoding channels that don't declare a type yet get the type suggested along with them
+    const channel = getSpecValueAt(spec, path.slice(0, -1));
+    const suggestType = path.includes('encoding') && !!channel && typeof channel === 'object' && !('type' in channel);
+    const { range, hasClosingQuote } = getStringValueRange(model, position, prefix);
+
+    return getDatasetColumns(dataset).map((column, index) => {
+        const value = JSON.stringify(escapeFieldName(column.name)).slice(1, -1);
+        const item = {
+            label: column.name,
+            kind: monaco.languages.CompletionItemKind.Field,
+            detail: column.type ? `${column.type} · ${datasetName}` : datasetName,
+            documentation: column.type ? `Detected type: ${column.type} (Vega-Lite "${mapColumnTypeToVegaType(column.type)}")` : undefined,
+            sortText: String(index).padStart(4, '0'),
+            filterText: column.name,
+            insertText: value,
+            range
+        };
+
+        if (suggestType && column.type && hasClosingQuote) {
+            // Offer the four types as a choice, the one matching the column first
+            const vegaType = mapColumnTypeToVegaType(column.type);
+            const types = [vegaType, ...VEGA_LITE_FIELD_TYPES.filter(type => type !== vegaType)];
+            item.insertText = `${value.replace(/[$}\\]/g, '\\$&')}", "type": "\${1|${types.join(',')}|}`;
+            item.insertTextRules = monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet;
+        }
+        return item;
+    });
+}
+
+async function provideEncodingTypeCompletions(model, position, prefix) {
+    const spec = getCompletionSpec(model);
+    if (!spec) return [];
+
+    const path = getJsonPathAt(model.getValue(), model.getOffsetAt(position));
+    const channel = getSpecValueAt(spec, path.slice(0, -1));
+    if (!path.includes('encoding') || !channel || typeof channel.field !== 'string') return [];
+
+    const datasetName = getDatasetNameInScope(spec, path);
+    const dataset = datasetName ? await DatasetStorage.getDatasetByName(datasetName) : null;
+    const column = dataset ? getDatasetColumns(dataset).find(c => escapeFieldName(c.name) === channel.field) : null;
+    if (!column || !column.type) return [];
+
+    const vegaType = mapColumnTypeToVegaType(column.type);
+    return [{
+        label: vegaType,
+        kind: monaco.languages.CompletionItemKind.EnumMember,
+        detail: `Matches "${column.name}" (${column.type})`,
+        sortText: '0',
+        preselect: true,
+        insertText: vegaType,
+        range: getStringValueRange(model, position, prefix).range
+    }];
+}
+
+// Monaco: dataset columns inside "field" values and the matching type inside encoding "type" values
+function registerFieldCompletionProvider() {
+    monaco.languages.registerCompletionItemProvider('json', {
+        triggerCharacters: ['"'],
+
+        async provideCompletionItems(model, position) {
+            const before = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+
+            const fieldMatch = before.match(/"field"\s*:\s*"([^"]*)$/);
+            if (fieldMatch) {
+                return { suggestions: await provideFieldCompletions(model, position, fieldMatch[1]) };
+            }
+
+            const typeMatch = before.match(/"type"\s*:\s*"([^"]*)$/);
+            if (typeMatch) {
+                return { suggestions: await provideEncodingTypeCompletions(model, position, typeMatch[1]) };
+            }
+
+            return { suggestions: [] };
+        }
+    });
+}
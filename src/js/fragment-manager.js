@@ -0,0 +1,613 @@
+// Spec fragments - named pieces of JSON (encoding blocks, tooltip lists, transform chains) stored in
+// the library and included in specs with {"$include": "<name>"}. Includes are expanded recursively
+// before rendering; the Monaco editor completes fragment names and jumps to a fragment with F12.
+
+const FRAGMENT_INCLUDE_KEY = '$include';
+const FRAGMENT_URI_SCHEME = 'fragment';
+const FRAGMENT_INCLUDE_PATTERN = /"\$include"\s*:\s*"([^"]*)"/g;
+
+// Alpine.js component for the Fragments modal (fragment list, content editor and usage)
+function fragmentManager() {
+    return {
+        fragments: [],
+        usageCounts: {},
+        snippets: [], // Library, for the "Used by" list
+        selectedId: null,
+        name: '',
+        comment: '',
+        contentText: '',
+        error: null,
+
+        async init() {
+            // Listen for refresh events dispatched by openFragmentManager() and storage changes
+            this.$el.addEventListener('fragment-manager-refresh', async (event) => {
+                await this.load((event.detail || {}).fragmentId);
+            });
+        },
+
+        async load(fragmentId = this.selectedId) {
+            const fragments = await FragmentStorage.listFragments();
+            this.fragments = fragments.sort((a, b) => a.name.localeCompare(b.name));
+            this.snippets = await SnippetStorage.loadSnippets();
+            this.usageCounts = countSnippetUsageByFragment(this.snippets);
+
+            const fragment = this.fragments.find(f => f.id === fragmentId);
+            if (fragment) {
+                // Keep unsaved edits when only the list changed
+                if (fragment.id !== this.selectedId || !this.dirty) this.select(fragment);
+            } else {
+                this.selectedId = null;
+            }
+        },
+
+        get selected() {
+            return this.fragments.find(fragment => fragment.id === this.selectedId) || null;
+        },
+
+        // Unsaved edits in the form
+        get dirty() {
+            const fragment = this.selected;
+            return !!fragment && (this.name !== fragment.name || this.comment !== (fragment.comment || '') ||
+                this.contentText !== JSON.stringify(fragment.content, null, 2));
+        },
+
+        get usedBy() {
+            const fragment = this.selected;
+            return fragment
+                ? this.snippets.filter(snippet => getSnippetFragmentNames(snippet).includes(fragment.name))
+                : [];
+        },
+
+        select(fragment) {
+            if (fragment.id !== this.selectedId && this.dirty && !confirm('Discard unsaved changes to this fragment?')) return;
+
+            this.selectedId = fragment.id;
+            this.name = fragment.name;
+            this.comment = fragment.comment || '';
+            this.contentText = JSON.stringify(fragment.content, null, 2);
+            this.error = null;
+        },
+
+        getUsageCount(fragment) {
+            return this.usageCounts[fragment.name] || 0;
+        },
+
+        describe(fragment) {
+            const content = fragment.content;
+            if (Array.isArray(content)) return `Array of ${content.length}`;
+            if (content && typeof content === 'object') return `Object: ${Object.keys(content).join(', ') || 'empty'}`;
+            return typeof content;
+        },
+
+        async create() {
+            await createNewFragment();
+        },
+
+        async createFromSelection() {
+            await createFragmentFromSelection();
+        },
+
+        async save() {
+            let content;
+            try {
+                content = JSON.parse(this.contentText);
+            } catch (error) {
+                this.error = `Invalid JSON: ${error.message}`;
+                return;
+            }
+
+            this.error = null;
+            await updateFragment(this.selectedId, { name: this.name.trim(), comment: this.comment, content });
+        },
+
+        async remove() {
+            await deleteFragment(this.selectedId);
+        },
+
+        insert() {
+            insertFragmentInclude(this.selected.name);
+        },
+
+        copyReference() {
+            copyFragmentReference(this.selected.name);
+        },
+
+        openSnippet(snippetId) {
+            ModalManager.close('fragment-modal');
+            selectSnippet(snippetId);
+        }
+    };
+}
+
+// IndexedDB wrapper for fragments (shares the database opened in dataset-manager.js)
+const FragmentStorage = {
+    async init() {
+        if (!db) {
+            await initializeDatasetDB();
+        }
+        return db;
+    },
+
+    async listFragments() {
+        try {
+            await this.init();
+
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction([FRAGMENT_STORE_NAME], 'readonly');
+                const request = transaction.objectStore(FRAGMENT_STORE_NAME).getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to load fragments from IndexedDB:', error);
+            return [];
+        }
+    },
+
+    async getFragment(id) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([FRAGMENT_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(FRAGMENT_STORE_NAME).get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getFragmentByName(name) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([FRAGMENT_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(FRAGMENT_STORE_NAME).index('name').get(name);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Save many fragments in a single transaction (add or update)
+    async saveFragments(fragments) {
+        try {
+            await this.init();
+            const now = new Date().toISOString();
+            fragments.forEach(fragment => { fragment.modified = now; });
+
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([FRAGMENT_STORE_NAME], 'readwrite');
+                const store = transaction.objectStore(FRAGMENT_STORE_NAME);
+                fragments.forEach(fragment => store.put(fragment));
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+
+            updateStorageMonitor();
+            broadcastStorageChange('fragments', fragments.map(fragment => fragment.id));
+            return true;
+        } catch (error) {
+            console.error('Failed to save fragments to IndexedDB:', error);
+            Toast.error(`Failed to save fragment: ${error.message}`);
+            return false;
+        }
+    },
+
+    async saveFragment(fragment) {
+        return this.saveFragments([fragment]);
+    },
+
+    async deleteFragment(id) {
+        try {
+            await this.init();
+
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([FRAGMENT_STORE_NAME], 'readwrite');
+                const request = transaction.objectStore(FRAGMENT_STORE_NAME).delete(id);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+
+            updateStorageMonitor();
+            broadcastStorageChange('fragments', [id]);
+            return true;
+        } catch (error) {
+            console.error('Failed to delete fragment from IndexedDB:', error);
+            Toast.error('Failed to delete fragment');
+            return false;
+        }
+    },
+
+    async nameExists(name, excludeId = null) {
+        const fragments = await this.listFragments();
+        return fragments.some(fragment => fragment.name === name && fragment.id !== excludeId);
+    }
+};
+
+function createFragment(name, content = {}) {
+    const now = new Date().toISOString();
+
+    return {
+        id: generateSnippetId(),
+        name,
+        created: now,
+        modified: now,
+        comment: '',
+        content // Any JSON value
+    };
+}
+
+function isFragmentInclude(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value[FRAGMENT_INCLUDE_KEY] === 'string';
+}
+
+// Names of the fragments a spec includes directly
+function findFragmentIncludes(spec) {
+    const names = new Set();
+    (function traverse(value) {
+        if (isFragmentInclude(value)) names.add(value[FRAGMENT_INCLUDE_KEY]);
+        if (value && typeof value === 'object') Object.values(value).forEach(traverse);
+    })(spec);
+    return [...names];
+}
+
+// Fragments included by the published spec or the draft
+function getSnippetFragmentNames(snippet) {
+    return [...new Set([...findFragmentIncludes(snippet.spec), ...findFragmentIncludes(snippet.draftSpec)])];
+}
+
+// Count snippet usage for every fragment at once (keyed by fragment name)
+function countSnippetUsageByFragment(snippets) {
+    const counts = {};
+    snippets.forEach(snippet => {
+        getSnippetFragmentNames(snippet).forEach(name => {
+            counts[name] = (counts[name] || 0) + 1;
+        });
+    });
+    return counts;
+}
+
+// Copy of a JSON value with includes of oldName pointing at newName
+function renameFragmentIncludes(value, oldName, newName) {
+    if (Array.isArray(value)) return value.map(item => renameFragmentIncludes(item, oldName, newName));
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = key === FRAGMENT_INCLUDE_KEY && value[key] === oldName
+                ? newName
+                : renameFragmentIncludes(value[key], oldName, newName);
+        });
+        return result;
+    }
+    return value;
+}
+
+// Copy of a spec with every include expanded, including includes inside fragments.
+// {"$include": "name"} is replaced by the fragment; in an array, an array fragment is spliced in
+// (so a transform chain can sit between other transforms). Other properties next to "$include"
+// override those of an object fragment. Missing fragments and include cycles throw.
+async function expandFragmentIncludes(spec) {
+    const fragments = new Map(); // Each fragment is loaded once per expansion
+
+    async function loadFragment(name, chain) {
+        if (chain.includes(name)) {
+            throw new Error(`Fragment include cycle: ${[...chain, name].join(' → ')}`);
+        }
+        if (!fragments.has(name)) {
+            fragments.set(name, await FragmentStorage.getFragmentByName(name));
+        }
+        const fragment = fragments.get(name);
+        if (!fragment) {
+            throw new Error(`Fragment "${name}" not found`);
+        }
+        return expand(fragment.content, [...chain, name]);
+    }
+
+    async function expand(value, chain) {
+        if (Array.isArray(value)) {
+            const result = [];
+            for (const item of value) {
+                const expanded = await expand(item, chain);
+                const isSpliced = isFragmentInclude(item) && Object.keys(item).length === 1 && Array.isArray(expanded);
+                if (isSpliced) {
+                    result.push(...expanded);
+                } else {
+                    result.push(expanded);
+                }
+            }
+            return result;
+        }
+
+        if (!value || typeof value !== 'object') return value;
+
+        if (isFragmentInclude(value)) {
+            const { [FRAGMENT_INCLUDE_KEY]: name, ...overrides } = value;
+            const content = await loadFragment(name, chain);
+            if (Object.keys(overrides).length === 0) return content;
+
+            if (!content || typeof content !== 'object' || Array.isArray(content)) {
+                throw new Error(`Fragment "${name}" is not an object, so it can't be combined with other properties`);
+            }
+            return { ...content, ...(await expand(overrides, chain)) };
+        }
+
+        const result = {};
+        for (const key of Object.keys(value)) {
+            result[key] = await expand(value[key], chain);
+        }
+        return result;
+    }
+
+    return expand(spec, []);
+}
+
+// Open the Fragments modal, optionally with a fragment selected
+function openFragmentManager(fragmentId) {
+    ModalManager.open('fragment-modal');
+    refreshFragmentManager(fragmentId);
+}
+
+async function openFragmentByName(name) {
+    const fragment = await FragmentStorage.getFragmentByName(name);
+    if (!fragment) {
+        Toast.error(`Fragment "${name}" not found`);
+        return;
+    }
+    openFragmentManager(fragment.id);
+}
+
+function refreshFragmentManager(fragmentId) {
+    const managerView = document.getElementById('fragment-manager-view');
+    if (managerView) {
+        managerView.dispatchEvent(new CustomEvent('fragment-manager-refresh', { detail: { fragmentId } }));
+    }
+}
+
+// Ask for a unique fragment name (null when cancelled)
+async function promptFragmentName(defaultName) {
+    const name = prompt('Fragment name:', defaultName);
+    if (name === null || !name.trim()) return null;
+
+    if (await FragmentStorage.nameExists(name.trim())) {
+        Toast.error(`Fragment "${name.trim()}" already exists`);
+        return null;
+    }
+    return name.trim();
+}
+
+async function createNewFragment() {
+    const name = await promptFragmentName('tooltip');
+    if (!name) return;
+
+    const fragment = createFragment(name);
+    if (!(await FragmentStorage.saveFragment(fragment))) return;
+
+    refreshFragmentManager(fragment.id);
+    Toast.success(`Created fragment "${name}"`);
+
+    // Track event
+    Analytics.track('fragment-create', 'Create fragment');
+}
+
+// Create a fragment from the JSON value selected in the editor
+async function createFragmentFromSelection() {
+    const selection = editor ? editor.getModel().getValueInRange(editor.getSelection()).trim() : '';
+    if (!selection) {
+        Toast.info('Select a JSON value in the editor first (an object, an array or a property value)');
+        return;
+    }
+
+    let content;
+    try {
+        content = JSON.parse(selection.replace(/,$/, ''));
+    } catch (error) {
+        Toast.error('The selection is not a complete JSON value');
+        return;
+    }
+
+    const name = await promptFragmentName('');
+    if (!name) return;
+
+    const fragment = createFragment(name, content);
+    if (!(await FragmentStorage.saveFragment(fragment))) return;
+
+    refreshFragmentManager(fragment.id);
+    Toast.success(`Created fragment "${name}" - replace the selection with {"$include": "${name}"} to use it`);
+
+    // Track event
+    Analytics.track('fragment-create', 'Create fragment from editor selection');
+}
+
+// Save edits to a fragment; a new name is carried over to every snippet and fragment including it
+async function updateFragment(fragmentId, { name, comment, content }) {
+    const fragment = await FragmentStorage.getFragment(fragmentId);
+    if (!fragment) return;
+
+    const oldName = fragment.name;
+    const renamed = name && name !== oldName;
+    if (!name) {
+        Toast.error('Fragment name cannot be empty');
+        return;
+    }
+    if (renamed) {
+        if (await FragmentStorage.nameExists(name, fragmentId)) {
+            Toast.error(`Fragment "${name}" already exists`);
+            return;
+        }
+
+        const snippets = await SnippetStorage.loadSnippets();
+        const usageCount = snippets.filter(snippet => getSnippetFragmentNames(snippet).includes(oldName)).length;
+        if (usageCount > 0 && !confirm(`Renaming this fragment will update the include in ${formatSnippetCount(usageCount)}.\n\nContinue with rename?`)) {
+            return;
+        }
+    }
+
+    fragment.name = name;
+    fragment.comment = comment;
+    fragment.content = content;
+    if (!(await FragmentStorage.saveFragment(fragment))) return;
+
+    if (renamed) {
+        await replaceFragmentIncludes(oldName, name);
+    }
+
+    refreshFragmentManager(fragmentId);
+    refreshThemedViews();
+    Toast.success(`Saved fragment "${name}"`);
+
+    // Track event
+    Analytics.track('fragment-save', renamed ? 'Rename fragment' : 'Save fragment');
+}
+
+// Point the includes of oldName in snippets and other fragments at newName
+async function replaceFragmentIncludes(oldName, newName) {
+    const fragments = await FragmentStorage.listFragments();
+    const affectedFragments = fragments.filter(fragment => findFragmentIncludes(fragment.content).includes(oldName));
+    affectedFragments.forEach(fragment => {
+        fragment.content = renameFragmentIncludes(fragment.content, oldName, newName);
+    });
+    if (affectedFragments.length > 0) {
+        await FragmentStorage.saveFragments(affectedFragments);
+    }
+
+    const snippets = await SnippetStorage.loadSnippets();
+    const affectedSnippets = snippets.filter(snippet => getSnippetFragmentNames(snippet).includes(oldName));
+    if (affectedSnippets.length === 0) return;
+
+    const now = new Date().toISOString();
+    affectedSnippets.forEach(snippet => {
+        snippet.spec = renameFragmentIncludes(snippet.spec, oldName, newName);
+        snippet.draftSpec = renameFragmentIncludes(snippet.draftSpec, oldName, newName);
+        snippet.modified = now;
+    });
+    if (!(await SnippetStorage.saveSnippets(affectedSnippets))) return;
+
+    // The editor shows the open snippet's spec, so it has to follow
+    const current = affectedSnippets.find(snippet => snippet.id === Alpine.store('snippets').currentSnippetId);
+    if (current) {
+        loadSnippetIntoEditor(current);
+        updateViewModeUI(current);
+    }
+
+    await renderSnippetList();
+    restoreSnippetSelection();
+}
+
+// Includes are left in place, so specs using the fragment show an error until it's recreated
+async function deleteFragment(fragmentId) {
+    const fragment = await FragmentStorage.getFragment(fragmentId);
+    if (!fragment) return;
+
+    const snippets = await SnippetStorage.loadSnippets();
+    const usageCount = snippets.filter(snippet => getSnippetFragmentNames(snippet).includes(fragment.name)).length;
+    const warning = usageCount > 0
+        ? `\n\n⚠️ ${formatSnippetCount(usageCount)} including this fragment will fail to render.`
+        : '';
+
+    if (!confirm(`Delete fragment "${fragment.name}"?${warning}`)) return;
+    if (!(await FragmentStorage.deleteFragment(fragmentId))) return;
+
+    refreshFragmentManager();
+    refreshThemedViews();
+    Toast.success(`Deleted fragment "${fragment.name}"`);
+
+    // Track event
+    Analytics.track('fragment-delete', 'Delete fragment');
+}
+
+// Insert an include at the editor's cursor (replacing the selection)
+function insertFragmentInclude(name) {
+    if (!editor || editor.getOption(monaco.editor.EditorOption.readOnly)) {
+        Toast.info('Switch to the draft to insert a fragment');
+        return;
+    }
+
+    ModalManager.close('fragment-modal');
+    editor.executeEdits('fragment-include', [{
+        range: editor.getSelection(),
+        text: `{"${FRAGMENT_INCLUDE_KEY}": "${name}"}`,
+        forceMoveMarkers: true
+    }]);
+    editor.focus();
+}
+
+async function copyFragmentReference(name) {
+    await navigator.clipboard.writeText(`{"${FRAGMENT_INCLUDE_KEY}": "${name}"}`);
+    Toast.success('Fragment include copied to clipboard!');
+}
+
+// A fragment changed in another tab
+function handleFragmentStorageChange() {
+    refreshFragmentManager();
+    refreshThemedViews();
+}
+
+// The fragment name at a position of a model: { name, range } for the value of an "$include" property
+function getFragmentIncludeAt(model, position) {
+    const line = model.getLineContent(position.lineNumber);
+    for (const match of line.matchAll(FRAGMENT_INCLUDE_PATTERN)) {
+        const start = match.index + match[0].lastIndexOf(match[1]) + 1; // 1-based column of the name
+        const end = start + match[1].length;
+        if (position.column >= start && position.column <= end) {
+            return { name: match[1], range: new monaco.Range(position.lineNumber, start, position.lineNumber, end) };
+        }
+    }
+    return null;
+}
+
+// Monaco: complete fragment names inside "$include" values and go to a fragment (F12, Cmd/Ctrl+click)
+function registerFragmentProviders() {
+    monaco.languages.registerCompletionItemProvider('json', {
+        triggerCharacters: ['"'],
+
+        async provideCompletionItems(model, position) {
+            const before = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+            const match = before.match(/"\$include"\s*:\s*"([^"]*)$/);
+            if (!match) return { suggestions: [] };
+
+            const range = new monaco.Range(position.lineNumber, position.column - match[1].length, position.lineNumber, position.column);
+            const fragments = await FragmentStorage.listFragments();
+            return {
+                suggestions: fragments.map(fragment => ({
+                    label: fragment.name,
+                    kind: monaco.languages.CompletionItemKind.Reference,
+                    detail: 'Fragment',
+                    documentation: fragment.comment || JSON.stringify(fragment.content, null, 2).slice(0, 500),
+                    insertText: fragment.name,
+                    range
+                }))
+            };
+        }
+    });
+
+    // The definition is a read-only model per fragment, so Monaco can peek at it
+    monaco.languages.registerDefinitionProvider('json', {
+        async provideDefinition(model, position) {
+            const include = getFragmentIncludeAt(model, position);
+            if (!include) return null;
+
+            const fragment = await FragmentStorage.getFragmentByName(include.name);
+            if (!fragment) return null;
+
+            const uri = monaco.Uri.from({ scheme: FRAGMENT_URI_SCHEME, path: `/${fragment.name}.json` });
+            const content = JSON.stringify(fragment.content, null, 2);
+            const fragmentModel = monaco.editor.getModel(uri) || monaco.editor.createModel(content, 'json', uri);
+            if (fragmentModel.getValue() !== content) fragmentModel.setValue(content);
+
+            return { uri, range: new monaco.Range(1, 1, 1, 1) };
+        }
+    });
+
+    // Going to a fragment opens it in the Fragments modal instead of another editor
+    monaco.editor.registerEditorOpener({
+        openCodeEditor(source, resource) {
+            if (resource.scheme !== FRAGMENT_URI_SCHEME) return false;
+            openFragmentByName(resource.path.replace(/^\//, '').replace(/\.json$/, ''));
+            return true;
+        }
+    });
+}
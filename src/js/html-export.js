@@ -0,0 +1,245 @@
+// Standalone HTML export - a single HTML file with the charts of one or more snippets,
+// their data inlined and (optionally) the Vega runtime embedded so it works offline
+
+// Alpine.js component for the HTML export dialog
+function htmlExport() {
+    return {
+        snippetIds: [],
+        pageTitle: '',
+        version: 'published', // 'published' | 'draft'
+        includeComments: true,
+        inlineRuntime: true,
+        exporting: false,
+
+        async init() {
+            // Listen for refresh events dispatched by openHtmlExportDialog()
+            this.$el.addEventListener('html-export-refresh', (event) => {
+                this.snippetIds = event.detail.snippetIds;
+                this.pageTitle = event.detail.pageTitle;
+            });
+        },
+
+        get summary() {
+            return `${formatSnippetCount(this.snippetIds.length)} in one HTML file`;
+        },
+
+        async download() {
+            this.exporting = true;
+            try {
+                await exportSnippetsAsHtml(this.snippetIds, {
+                    pageTitle: this.pageTitle.trim() || 'Astrolabe Charts',
+                    version: this.version,
+                    includeComments: this.includeComments,
+                    inlineRuntime: this.inlineRuntime
+                });
+            } finally {
+                this.exporting = false;
+            }
+        },
+
+        cancel() {
+            ModalManager.close('html-export-modal');
+        }
+    };
+}
+
+// Open the HTML export dialog for the given snippets (the open snippet when none are given)
+async function openHtmlExportDialog(snippetIds = []) {
+    const currentId = Alpine.store('snippets').currentSnippetId;
+    const ids = snippetIds.length > 0 ? [...snippetIds] : (currentId !== null ? [currentId] : []);
+    if (ids.length === 0) {
+        Toast.info('Select a snippet to export');
+        return;
+    }
+
+    // A single chart is titled after its snippet
+    const snippets = await loadSnippetsById(ids);
+    const pageTitle = snippets.length === 1 ? snippets[0].name : 'Astrolabe Charts';
+
+    ModalManager.open('html-export-modal');
+
+    const exportView = document.getElementById('html-export-view');
+    if (exportView) {
+        exportView.dispatchEvent(new CustomEvent('html-export-refresh', {
+            detail: { snippetIds: ids, pageTitle }
+        }));
+    }
+}
+
+// Keep embedded code from closing the surrounding <script> element early
+function escapeScriptContent(text) {
+    return text.replace(/<\/(script)/gi, '<\\/$1');
+}
+
+// Fetch the Vega, Vega-Lite and Vega-Embed builds from the CDN (this needs a network connection)
+async function fetchVegaRuntime() {
+    const sources = await Promise.all(Object.values(VEGA_RUNTIME_URLS).map(async (url) => {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new Error('Could not download the Vega runtime to embed (are you offline?). Untick "Embed the Vega runtime" to export without it');
+        }
+        if (!response.ok) {
+            throw new Error(`Could not download ${url} (HTTP ${response.status})`);
+        }
+        return response.text();
+    }));
+    return sources.map(source => `<script>${escapeScriptContent(source)}</script>`).join('\n');
+}
+
+// Format type of a data URL without an explicit format (Vega infers it from the extension the same way)
+function getDataUrlFormatType(url) {
+    const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return ['csv', 'tsv', 'topojson'].includes(extension) ? extension : 'json';
+}
+
+// Replace every data URL in a spec (URL datasets, lookups, Vega data entries) with the fetched
+// content as inline values, keeping its format. Returns false if some URL couldn't be fetched
+// (that data stays a URL). Responses are shared through the cache (url -> Promise of text).
+async function inlineSpecDataUrls(spec, cache) {
+    let complete = true;
+
+    async function inlineData(data) {
+        if (!data || typeof data !== 'object' || typeof data.url !== 'string') return;
+
+        if (!cache.has(data.url)) {
+            cache.set(data.url, fetch(new URL(data.url, window.location.href)).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            }));
+        }
+
+        try {
+            const text = await cache.get(data.url);
+            const format = { type: getDataUrlFormatType(data.url), ...(data.format || {}) };
+            delete data.url;
+            data.values = text; // String values are parsed according to the format
+            data.format = format;
+        } catch (error) {
+            console.warn(`Could not inline ${data.url}:`, error);
+            complete = false;
+        }
+    }
+
+    async function visit(node) {
+        if (Array.isArray(node)) {
+            for (const item of node) await visit(item);
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        if (Array.isArray(node.data)) {
+            for (const data of node.data) await inlineData(data);
+        } else {
+            await inlineData(node.data);
+        }
+        for (const value of Object.values(node)) await visit(value);
+    }
+
+    await visit(spec);
+    return complete;
+}
+
+// Build the HTML document for charts: [{ name, comment, spec }]
+function buildStandaloneHtml(charts, { pageTitle, runtimeScripts }) {
+    const sections = charts.map((chart, index) => `
+    <section class="chart">
+        <h2>${escapeHTML(chart.name)}</h2>
+        ${chart.comment ? `<p class="comment">${escapeHTML(chart.comment)}</p>` : ''}
+        <div id="chart-${index}"></div>
+    </section>`).join('\n');
+
+    // "<" only occurs inside JSON strings, where \u003c is equivalent and can't end the script element
+    const specs = JSON.stringify(charts.map(chart => chart.spec)).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="generator" content="Astrolabe ${APP_VERSION}">
+    <title>${escapeHTML(pageTitle)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 0 auto; padding: 24px; max-width: 1100px; color: #222; }
+        h1 { font-size: 24px; margin-bottom: 24px; }
+        .chart { margin-bottom: 40px; }
+        .chart h2 { font-size: 18px; margin-bottom: 4px; }
+        .comment { white-space: pre-wrap; color: #555; margin-top: 0; }
+        .error { color: #d32f2f; font-family: monospace; font-size: 12px; }
+        footer { font-size: 11px; color: #888; border-top: 1px solid #ddd; padding-top: 8px; }
+    </style>
+${runtimeScripts}
+</head>
+<body>
+    <h1>${escapeHTML(pageTitle)}</h1>
+${sections}
+    <footer>Exported from Astrolabe on ${new Date().toISOString().slice(0, 10)}</footer>
+    <script type="application/json" id="astrolabe-specs">${specs}</script>
+    <script>
+        var specs = JSON.parse(document.getElementById('astrolabe-specs').textContent);
+        specs.forEach(function (spec, index) {
+            vegaEmbed('#chart-' + index, spec, { actions: { export: true, source: false, compiled: false, editor: false } })
+                .catch(function (error) {
+                    var container = document.getElementById('chart-' + index);
+                    container.className = 'error';
+                    container.textContent = 'Rendering error: ' + error.message;
+                });
+        });
+    </script>
+</body>
+</html>
+`;
+}
+
+// Resolve the chosen version of each snippet and download the HTML file through downloadFile()
+async function exportSnippetsAsHtml(snippetIds, { pageTitle, version, includeComments, inlineRuntime }) {
+    const snippets = await loadSnippetsById(snippetIds);
+    if (snippets.length === 0) return;
+
+    let html;
+    const onlineCharts = []; // Charts whose data couldn't be inlined and is still loaded from the web
+    try {
+        const charts = [];
+        const dataCache = new Map();
+        for (const snippet of snippets) {
+            const spec = await resolveDatasetReferences(
+                await resolveLibraryReferences(version === 'draft' ? snippet.draftSpec : snippet.spec, getSnippetVariableValues(snippet))
+            );
+            if (!(await inlineSpecDataUrls(spec, dataCache))) {
+                onlineCharts.push(snippet.name);
+            }
+            charts.push({
+                name: snippet.name,
+                comment: includeComments ? snippet.comment : '',
+                spec
+            });
+        }
+
+        const runtimeScripts = inlineRuntime
+            ? await fetchVegaRuntime()
+            : Object.values(VEGA_RUNTIME_URLS).map(url => `    <script src="${url}"></script>`).join('\n');
+
+        html = buildStandaloneHtml(charts, { pageTitle, runtimeScripts });
+    } catch (error) {
+        Toast.error(`HTML export failed: ${error.message}`);
+        return;
+    }
+
+    const filenameLabel = snippets.length === 1 ? snippets[0].name : 'charts';
+    downloadFile(
+        html,
+        `astrolabe-${filenameLabel.replace(/[^a-zA-Z0-9_-]/g, '_')}-${new Date().toISOString().slice(0, 10)}.html`,
+        'text/html'
+    );
+
+    ModalManager.close('html-export-modal');
+    if (onlineCharts.length > 0) {
+        Toast.warning(`Exported as HTML, but the data of ${onlineCharts.map(name => `"${name}"`).join(', ')} couldn't be downloaded - ${onlineCharts.length === 1 ? 'that chart loads' : 'those charts load'} it from the web`);
+    } else {
+        Toast.success(`Exported ${formatSnippetCount(snippets.length)} as HTML`);
+    }
+
+    // Track event
+    Analytics.track('html-export', `Export ${snippets.length} snippets as HTML${inlineRuntime ? ' (offline)' : ''}`);
+}
@@ -0,0 +1,180 @@
+// LZ-based string compression, compatible with lz-string's *EncodedURIComponent functions
+// (https://github.com/pieroxy/lz-string, MIT license) - the format used in Vega Editor share links
+// Bundled locally so share links work offline
+
+const LZString = (() => {
+    const URI_SAFE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+-$';
+    const URI_SAFE_VALUES = Object.fromEntries([...URI_SAFE_ALPHABET].map((char, index) => [char, index]));
+
+    const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    function compress(uncompressed, bitsPerChar, getCharFromInt) {
+        const dictionary = {};
+        const dictionaryToCreate = {};
+        const output = [];
+        let w = '';
+        let enlargeIn = 2;
+        let dictSize = 3;
+        let numBits = 2;
+        let dataValue = 0;
+        let dataPosition = 0;
+
+        // Write the lowest `count` bits of value, least significant bit first
+        const writeBits = (value, count) => {
+            for (let i = 0; i < count; i++) {
+                dataValue = (dataValue << 1) | (value & 1);
+                if (dataPosition === bitsPerChar - 1) {
+                    dataPosition = 0;
+                    output.push(getCharFromInt(dataValue));
+                    dataValue = 0;
+                } else {
+                    dataPosition++;
+                }
+                value >>= 1;
+            }
+        };
+
+        const decrementEnlargeIn = () => {
+            enlargeIn--;
+            if (enlargeIn === 0) {
+                enlargeIn = Math.pow(2, numBits);
+                numBits++;
+            }
+        };
+
+        // Emit the code for w (a literal character the first time it's seen)
+        const writeW = () => {
+            if (has(dictionaryToCreate, w)) {
+                const charCode = w.charCodeAt(0);
+                if (charCode < 256) {
+                    writeBits(0, numBits);
+                    writeBits(charCode, 8);
+                } else {
+                    writeBits(1, numBits);
+                    writeBits(charCode, 16);
+                }
+                decrementEnlargeIn();
+                delete dictionaryToCreate[w];
+            } else {
+                writeBits(dictionary[w], numBits);
+            }
+            decrementEnlargeIn();
+        };
+
+        for (const c of uncompressed.split('')) {
+            if (!has(dictionary, c)) {
+                dictionary[c] = dictSize++;
+                dictionaryToCreate[c] = true;
+            }
+
+            const wc = w + c;
+            if (has(dictionary, wc)) {
+                w = wc;
+            } else {
+                writeW();
+                dictionary[wc] = dictSize++;
+                w = c;
+            }
+        }
+
+        if (w !== '') {
+            writeW();
+        }
+
+        // End of stream marker, then flush the last partial character
+        writeBits(2, numBits);
+        do {
+            writeBits(0, 1);
+        } while (dataPosition !== 0);
+
+        return output.join('');
+    }
+
+    function decompress(length, resetValue, getNextValue) {
+        const dictionary = [0, 1, 2];
+        const result = [];
+        let enlargeIn = 4;
+        let dictSize = 4;
+        let numBits = 3;
+        const data = { value: getNextValue(0), position: resetValue, index: 1 };
+
+        const readBits = (count) => {
+            let bits = 0;
+            for (let power = 1; power !== Math.pow(2, count); power <<= 1) {
+                const bit = data.value & data.position;
+                data.position >>= 1;
+                if (data.position === 0) {
+                    data.position = resetValue;
+                    data.value = getNextValue(data.index++);
+                }
+                bits |= (bit > 0 ? 1 : 0) * power;
+            }
+            return bits;
+        };
+
+        let c;
+        switch (readBits(2)) {
+            case 0: c = String.fromCharCode(readBits(8)); break;
+            case 1: c = String.fromCharCode(readBits(16)); break;
+            default: return '';
+        }
+        dictionary[3] = c;
+        let w = c;
+        result.push(c);
+
+        while (true) {
+            if (data.index > length) return '';
+
+            let code = readBits(numBits);
+            switch (code) {
+                case 0:
+                case 1:
+                    dictionary[dictSize++] = String.fromCharCode(readBits(code === 0 ? 8 : 16));
+                    code = dictSize - 1;
+                    enlargeIn--;
+                    break;
+                case 2:
+                    return result.join('');
+            }
+
+            if (enlargeIn === 0) {
+                enlargeIn = Math.pow(2, numBits);
+                numBits++;
+            }
+
+            let entry;
+            if (dictionary[code]) {
+                entry = dictionary[code];
+            } else if (code === dictSize) {
+                entry = w + w.charAt(0);
+            } else {
+                return null;
+            }
+            result.push(entry);
+
+            dictionary[dictSize++] = w + entry.charAt(0);
+            enlargeIn--;
+            w = entry;
+
+            if (enlargeIn === 0) {
+                enlargeIn = Math.pow(2, numBits);
+                numBits++;
+            }
+        }
+    }
+
+    return {
+        compressToEncodedURIComponent(input) {
+            if (input == null) return '';
+            return compress(input, 6, (value) => URI_SAFE_ALPHABET.charAt(value));
+        },
+
+        // Returns null when the input isn't valid compressed data
+        decompressFromEncodedURIComponent(input) {
+            if (input == null) return '';
+            if (input === '') return null;
+            input = input.replace(/ /g, '+');
+            return decompress(input.length, 32, (index) => URI_SAFE_VALUES[input.charAt(index)]);
+        }
+    };
+})();
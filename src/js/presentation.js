@@ -0,0 +1,234 @@
+// Presentation mode - step through a selection, folder or tag of snippets fullscreen, one published
+// chart per slide with the snippet name as title and its comment as speaker notes
+
+const PRESENTATION_SOURCE_TYPES = ['selection', 'folder', 'tag'];
+
+let presentationSnippets = [];
+let presentationSource = null; // { type: 'selection' | 'folder' | 'tag', value } (value: IDs, path or tag)
+let presentationView = null;
+let presentationRendering = Promise.resolve(); // Slides render one after another
+let presentationFullscreen = false; // Leaving browser fullscreen also ends the presentation
+
+// Alpine.js store for the presentation overlay
+document.addEventListener('alpine:init', () => {
+    Alpine.store('presentation', {
+        active: false,
+        index: 0,
+        total: 0,
+        title: '',
+        notes: '',
+        showNotes: true,
+        error: null
+    });
+});
+
+// Snippets of a presentation source, in the snippet list's sort order
+async function loadPresentationSnippets(source) {
+    let snippets;
+    if (source.type === 'selection') {
+        snippets = await loadSnippetsById(source.value);
+    } else {
+        const allSnippets = await SnippetStorage.loadSnippets();
+        snippets = source.type === 'folder'
+            ? allSnippets.filter(snippet => isInFolder(snippet.folder || '', source.value))
+            : allSnippets.filter(snippet => (snippet.tags || []).includes(source.value));
+    }
+    return SnippetStorage.sortSnippets(snippets);
+}
+
+function isPresentingSource(source) {
+    return Alpine.store('presentation').active &&
+        JSON.stringify([presentationSource.type, presentationSource.value]) === JSON.stringify([source.type, source.value]);
+}
+
+// Start presenting from the given slide; fullscreen needs a user gesture, so URL navigation skips it
+async function startPresentation(source, { slide = 0, fullscreen = true, updateURL = true } = {}) {
+    const snippets = await loadPresentationSnippets(source);
+    if (snippets.length === 0) {
+        Toast.info('No snippets to present');
+        return;
+    }
+
+    presentationSnippets = snippets;
+    presentationSource = { type: source.type, value: source.value };
+
+    const store = Alpine.store('presentation');
+    store.total = snippets.length;
+    if (!store.active) {
+        store.active = true;
+        document.addEventListener('keydown', handlePresentationKey, true);
+        if (document.activeElement) document.activeElement.blur();
+    }
+
+    if (fullscreen) {
+        enterPresentationFullscreen();
+    }
+
+    // The chart container needs its size before the first render
+    await Alpine.nextTick();
+    await showPresentationSlide(slide, false);
+
+    if (updateURL) {
+        URLState.update({ view: 'presentation', presentation: { ...presentationSource, slide: store.index } });
+    }
+
+    // Track event
+    Analytics.track('presentation-start', `Present ${snippets.length} snippets from ${source.type}`);
+}
+
+function presentSelection(snippetIds) {
+    startPresentation({ type: 'selection', value: [...snippetIds] });
+}
+
+function presentFolder(path) {
+    startPresentation({ type: 'folder', value: path });
+}
+
+function presentTag(tag) {
+    ModalManager.close('tag-manager-modal');
+    startPresentation({ type: 'tag', value: tag });
+}
+
+// Show a slide (clamped to the sequence); each slide renders the published spec with the "full" fit mode
+function showPresentationSlide(index, updateURL = true) {
+    const store = Alpine.store('presentation');
+    store.index = Math.min(Math.max(index, 0), presentationSnippets.length - 1);
+
+    const snippet = presentationSnippets[store.index];
+    store.title = snippet.name;
+    store.notes = snippet.comment || '';
+
+    if (updateURL) {
+        URLState.update({ view: 'presentation', presentation: { ...presentationSource, slide: store.index } }, true);
+    }
+
+    presentationRendering = presentationRendering.then(() => renderPresentationSlide(snippet));
+    return presentationRendering;
+}
+
+async function renderPresentationSlide(snippet) {
+    const store = Alpine.store('presentation');
+
+    // Skip slides the presenter already moved past
+    if (!store.active || presentationSnippets[store.index] !== snippet) return;
+
+    if (presentationView) {
+        presentationView.finalize();
+        presentationView = null;
+    }
+
+    const container = document.getElementById('presentation-chart');
+    try {
+        const spec = await resolveDatasetReferences(await resolveLibraryReferences(snippet.spec, getVariableDefaults(snippet)));
+        const result = await window.vegaEmbed(container, applyPreviewFitMode(spec, 'full'), {
+            actions: false,
+            renderer: 'svg'
+        });
+        presentationView = result.view;
+        store.error = null;
+    } catch (error) {
+        container.replaceChildren();
+        store.error = `Rendering Error: ${error.message}`;
+    }
+}
+
+function nextPresentationSlide() {
+    const store = Alpine.store('presentation');
+    if (store.index < store.total - 1) showPresentationSlide(store.index + 1);
+}
+
+function previousPresentationSlide() {
+    const store = Alpine.store('presentation');
+    if (store.index > 0) showPresentationSlide(store.index - 1);
+}
+
+function togglePresentationNotes() {
+    const store = Alpine.store('presentation');
+    store.showNotes = !store.showNotes;
+}
+
+function enterPresentationFullscreen() {
+    const element = document.getElementById('presentation');
+    if (!element || !element.requestFullscreen || document.fullscreenElement) return;
+
+    element.requestFullscreen()
+        .then(() => { presentationFullscreen = true; })
+        .catch(() => { /* Not allowed without a user gesture - the overlay still fills the window */ });
+}
+
+function togglePresentationFullscreen() {
+    if (document.fullscreenElement) {
+        presentationFullscreen = false;
+        document.exitFullscreen();
+    } else {
+        enterPresentationFullscreen();
+    }
+}
+
+// Leave the presentation and restore the URL of what's underneath (dashboard or snippet)
+function stopPresentation(updateURL = true) {
+    const store = Alpine.store('presentation');
+    if (!store.active) return;
+
+    store.active = false;
+    store.error = null;
+    document.removeEventListener('keydown', handlePresentationKey, true);
+
+    if (presentationView) {
+        presentationView.finalize();
+        presentationView = null;
+    }
+    document.getElementById('presentation-chart').replaceChildren();
+
+    if (document.fullscreenElement) {
+        presentationFullscreen = false;
+        document.exitFullscreen();
+    }
+
+    if (updateURL) {
+        const dashboardId = Alpine.store('dashboards').currentDashboardId;
+        const snippetId = Alpine.store('snippets').currentSnippetId;
+        if (dashboardId !== null) {
+            URLState.update({ view: 'dashboard', dashboardId }, true);
+        } else if (snippetId !== null) {
+            URLState.update({ view: 'snippets', snippetId }, true);
+        } else {
+            URLState.clear();
+        }
+    }
+}
+
+// Keys are captured while presenting, so editor and app shortcuts don't fire underneath
+function handlePresentationKey(event) {
+    const actions = {
+        ArrowRight: nextPresentationSlide,
+        ArrowDown: nextPresentationSlide,
+        PageDown: nextPresentationSlide,
+        ' ': nextPresentationSlide,
+        ArrowLeft: previousPresentationSlide,
+        ArrowUp: previousPresentationSlide,
+        PageUp: previousPresentationSlide,
+        Home: () => showPresentationSlide(0),
+        End: () => showPresentationSlide(presentationSnippets.length - 1),
+        Escape: () => stopPresentation(),
+        n: togglePresentationNotes,
+        N: togglePresentationNotes,
+        f: togglePresentationFullscreen,
+        F: togglePresentationFullscreen
+    };
+
+    const action = actions[event.key];
+    if (!action || event.metaKey || event.ctrlKey || event.altKey) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    action();
+}
+
+// Escape in browser fullscreen only exits fullscreen (the page never sees the key)
+document.addEventListener('fullscreenchange', () => {
+    if (!document.fullscreenElement && presentationFullscreen) {
+        presentationFullscreen = false;
+        stopPresentation();
+    }
+});
@@ -0,0 +1,187 @@
+// Image export - render the draft or published spec of the open snippet to SVG, PNG or PDF
+
+const PDF_POINTS_PER_PIXEL = 0.75; // 72 pt per inch / 96 CSS px per inch
+
+// Alpine.js component for the image export dialog
+function imageExport() {
+    return {
+        format: 'png', // 'png' | 'svg' | 'pdf'
+        scale: '2',
+        background: '#ffffff',
+        transparent: false,
+        padding: 5,
+        version: 'draft', // 'draft' | 'published'
+        exporting: false,
+
+        async init() {
+            // Listen for refresh events dispatched by openImageExportDialog()
+            this.$el.addEventListener('image-export-refresh', (event) => {
+                this.version = event.detail.version;
+            });
+        },
+
+        // Scale only applies to raster output
+        get usesScale() {
+            return this.format !== 'svg';
+        },
+
+        // PDF pages are embedded as JPEG, which has no transparency
+        get transparencyIgnored() {
+            return this.format === 'pdf' && this.transparent;
+        },
+
+        async download() {
+            this.exporting = true;
+            try {
+                await exportPreviewImage({
+                    format: this.format,
+                    scale: Number(this.scale),
+                    background: this.transparent && this.format !== 'pdf' ? 'transparent' : this.background,
+                    padding: Math.max(0, Number(this.padding) || 0),
+                    version: this.version
+                });
+            } finally {
+                this.exporting = false;
+            }
+        },
+
+        cancel() {
+            ModalManager.close('image-export-modal');
+        }
+    };
+}
+
+// Open the image export dialog for the open snippet, preselecting the version in the editor
+function openImageExportDialog() {
+    if (Alpine.store('snippets').currentSnippetId === null) {
+        Toast.info('Select a snippet to export');
+        return;
+    }
+
+    ModalManager.open('image-export-modal');
+
+    const exportView = document.getElementById('image-export-view');
+    if (exportView) {
+        exportView.dispatchEvent(new CustomEvent('image-export-refresh', {
+            detail: { version: Alpine.store('snippets').viewMode }
+        }));
+    }
+}
+
+// Spec of the chosen version with its library references and the live variable values resolved;
+// the editor holds the freshest copy of the version it shows
+async function getSpecForImageExport(snippet, version) {
+    const spec = Alpine.store('snippets').viewMode === version
+        ? JSON.parse(editor.getValue())
+        : (version === 'published' ? snippet.spec : snippet.draftSpec);
+    return resolveLibraryReferences(spec, getSnippetVariableValues(snippet));
+}
+
+// Render a spec (library references already resolved) into a headless Vega view, optionally
+// overriding its background and padding
+async function createExportView(spec, background, padding) {
+    const exportSpec = await resolveDatasetReferences(spec);
+    if (background !== undefined) exportSpec.background = background;
+    if (padding !== undefined) exportSpec.padding = padding;
+
+    const vegaSpec = getVegaEditorMode(exportSpec) === 'vega'
+        ? exportSpec
+        : window.vegaLite.compile(exportSpec).spec;
+
+    const view = new window.vega.View(window.vega.parse(vegaSpec), { renderer: 'none' });
+    await view.runAsync();
+    return view;
+}
+
+function canvasToBlob(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image')), mimeType, quality);
+    });
+}
+
+// Build a single-page PDF showing a JPEG image (page size in points)
+function buildImagePdf(jpegBytes, imageWidth, imageHeight, pageWidth, pageHeight) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const push = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+
+    const width = pageWidth.toFixed(2);
+    const height = pageHeight.toFixed(2);
+    const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+    const objects = [
+        ['<< /Type /Catalog /Pages 2 0 R >>'],
+        ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+        [`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`],
+        [
+            `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`,
+            jpegBytes,
+            '\nendstream'
+        ],
+        [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]
+    ];
+
+    push('%PDF-1.4\n');
+    objects.forEach((parts, index) => {
+        offsets.push(length);
+        push(`${index + 1} 0 obj\n`);
+        parts.forEach(push);
+        push('\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// Render the open snippet and download it through downloadFile()
+async function exportPreviewImage({ format, scale, background, padding, version }) {
+    const snippet = await getCurrentSnippet();
+    if (!snippet) return;
+
+    let view;
+    try {
+        const spec = await getSpecForImageExport(snippet, version);
+        view = await createExportView(spec, background, padding);
+
+        const filename = `${snippet.name.replace(/[^a-zA-Z0-9_-]/g, '_')}.${format}`;
+
+        if (format === 'svg') {
+            downloadFile(await view.toSVG(), filename, 'image/svg+xml');
+        } else if (format === 'png') {
+            const canvas = await view.toCanvas(scale);
+            downloadFile(await canvasToBlob(canvas, 'image/png'), filename, 'image/png');
+        } else {
+            const canvas = await view.toCanvas(scale);
+            const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+            const pdf = buildImagePdf(
+                new Uint8Array(await jpeg.arrayBuffer()),
+                canvas.width,
+                canvas.height,
+                canvas.width / scale * PDF_POINTS_PER_PIXEL,
+                canvas.height / scale * PDF_POINTS_PER_PIXEL
+            );
+            downloadFile(pdf, filename, 'application/pdf');
+        }
+    } catch (error) {
+        Toast.error(`Image export failed: ${error.message}`);
+        return;
+    } finally {
+        if (view) view.finalize();
+    }
+
+    ModalManager.close('image-export-modal');
+    Toast.success(`Exported "${snippet.name}" as ${format.toUpperCase()}`);
+
+    // Track event
+    Analytics.track('preview-export', `Export preview as ${format.toUpperCase()}`);
+}
@@ -0,0 +1,115 @@
+// Project ZIP - a directory-style alternative to the single JSON export, with one file per
+// snippet and dataset so projects can be kept in git and diffed file by file
+//
+//   manifest.json                 - format marker, file index and dataset metadata
+//   snippets/<slug>.vl.json       - published spec (.vg.json for Vega specs)
+//   snippets/<slug>.meta.json     - everything else (name, comment, tags, folder, history, draft)
+//   datasets/<name>.<format>      - inline dataset content in its native format
+
+const PROJECT_ZIP_FORMAT = 'astrolabe-project-zip';
+
+// File-system friendly slug, unique among the names already used in the archive
+function getProjectZipSlug(name, fallback, usedSlugs) {
+    const base = String(name).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
+    let slug = base;
+    for (let counter = 2; usedSlugs.has(slug); counter++) {
+        slug = `${base}-${counter}`;
+    }
+    usedSlugs.add(slug);
+    return slug;
+}
+
+// Build the archive files: [{ name, data }]
+function buildProjectZipFiles(snippets, datasets) {
+    const files = [];
+    const usedSnippetSlugs = new Set();
+    const usedDatasetSlugs = new Set();
+
+    const manifestSnippets = snippets.map(snippet => {
+        const slug = getProjectZipSlug(snippet.name, 'snippet', usedSnippetSlugs);
+        const specFile = `snippets/${slug}.${getVegaEditorMode(snippet.spec) === 'vega' ? 'vg' : 'vl'}.json`;
+        const metaFile = `snippets/${slug}.meta.json`;
+
+        // The draft is only stored when it differs from the published spec
+        const { spec, draftSpec, ...metadata } = withoutThumbnail(snippet);
+        const hasDraft = JSON.stringify(spec) !== JSON.stringify(draftSpec);
+
+        files.push({ name: specFile, data: JSON.stringify(spec, null, 2) + '\n' });
+        files.push({ name: metaFile, data: JSON.stringify({ ...metadata, draftSpec: hasDraft ? draftSpec : null }, null, 2) + '\n' });
+
+        return { id: snippet.id, spec: specFile, meta: metaFile };
+    });
+
+    const manifestDatasets = datasets.map(dataset => {
+        const { data, ...metadata } = dataset;
+
+        // URL datasets only store their URL
+        if (dataset.source === 'url') {
+            return { ...metadata, url: data };
+        }
+
+        const file = `datasets/${getProjectZipSlug(dataset.name, 'dataset', usedDatasetSlugs)}.${dataset.format}`;
+        files.push({ name: file, data: typeof data === 'string' ? data : JSON.stringify(data, null, 2) + '\n' });
+        return { ...metadata, file };
+    });
+
+    const manifest = {
+        version: "1.0",
+        format: PROJECT_ZIP_FORMAT,
+        exportedAt: new Date().toISOString(),
+        exportedBy: "Astrolabe",
+        snippets: manifestSnippets,
+        datasets: manifestDatasets
+    };
+
+    return [{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) + '\n' }, ...files];
+}
+
+// Read a project ZIP back into the unified project export format (see buildProjectExport)
+async function readProjectZip(arrayBuffer) {
+    const files = await readZipArchive(arrayBuffer);
+    const decoder = new TextDecoder();
+
+    // Archives re-zipped from an extracted folder may have everything under one top-level directory
+    const manifestFile = files
+        .filter(file => file.name === 'manifest.json' || file.name.endsWith('/manifest.json'))
+        .sort((a, b) => a.name.length - b.name.length)[0];
+    if (!manifestFile) {
+        throw new Error('manifest.json not found in the archive');
+    }
+
+    const prefix = manifestFile.name.slice(0, -'manifest.json'.length);
+    const filesByName = new Map(files.map(file => [file.name, file.data]));
+    const readText = (path) => {
+        const data = filesByName.get(prefix + path);
+        if (!data) {
+            throw new Error(`${path} is listed in manifest.json but missing from the archive`);
+        }
+        return decoder.decode(data);
+    };
+
+    const manifest = JSON.parse(readText('manifest.json'));
+    if (manifest.format !== PROJECT_ZIP_FORMAT) {
+        throw new Error('Not an Astrolabe project archive');
+    }
+
+    const snippets = (manifest.snippets || []).map(entry => {
+        const spec = JSON.parse(readText(entry.spec));
+        const metadata = JSON.parse(readText(entry.meta));
+        const draftSpec = metadata.draftSpec == null ? JSON.parse(JSON.stringify(spec)) : metadata.draftSpec;
+        return { ...metadata, spec, draftSpec };
+    });
+
+    const datasets = (manifest.datasets || []).map(entry => {
+        const { file, url, ...metadata } = entry;
+        if (metadata.source === 'url') {
+            return { ...metadata, data: url };
+        }
+
+        const text = readText(file);
+        const isJSON = metadata.format === 'json' || metadata.format === 'topojson';
+        return { ...metadata, data: isJSON ? JSON.parse(text) : text };
+    });
+
+    return { ...buildProjectExport(snippets, datasets), exportedAt: manifest.exportedAt };
+}
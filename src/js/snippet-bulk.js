@@ -0,0 +1,210 @@
+// Bulk snippet actions - operate on the multi-selection of the snippet list
+
+// "1 snippet" / "3 snippets"
+function formatSnippetCount(count) {
+    return `${count} snippet${count !== 1 ? 's' : ''}`;
+}
+
+// Load the selected snippets (in one transaction), skipping ids that no longer exist
+async function loadSnippetsById(snippetIds) {
+    const ids = new Set(snippetIds);
+    return (await SnippetStorage.loadSnippets()).filter(snippet => ids.has(snippet.id));
+}
+
+// Reload the list after a bulk change; the open snippet is reloaded if it was affected
+async function refreshBulkViews(affectedIds = []) {
+    await renderSnippetList();
+    restoreSnippetSelection();
+
+    const currentId = Alpine.store('snippets').currentSnippetId;
+    if (currentId !== null && affectedIds.includes(currentId)) {
+        await selectSnippet(currentId, false);
+        await renderSnippetHistory();
+    }
+}
+
+// Move selected snippets to the trash
+async function bulkDeleteSnippets(snippetIds) {
+    const snippets = await loadSnippetsById(snippetIds);
+    if (snippets.length === 0) return;
+
+    if (!confirm(`Move ${formatSnippetCount(snippets.length)} to the trash? You can restore them from the Trash view for ${getTrashRetentionDays()} days.`)) {
+        return;
+    }
+
+    let failed = 0;
+    for (const snippet of snippets) {
+        try {
+            await TrashStorage.moveToTrash('snippet', snippet);
+        } catch (error) {
+            console.error(`Failed to move snippet ${snippet.id} to trash:`, error);
+            failed++;
+        }
+    }
+
+    if (snippets.some(snippet => snippet.id === Alpine.store('snippets').currentSnippetId)) {
+        clearSelection();
+    }
+
+    await renderSnippetList();
+    refreshTrashView();
+    updateStorageMonitor();
+
+    const deleted = snippets.length - failed;
+    if (failed > 0) {
+        Toast.warning(`Moved ${formatSnippetCount(deleted)} to trash, ${failed} failed`);
+    } else {
+        Toast.success(`Moved ${formatSnippetCount(deleted)} to trash`);
+    }
+
+    // Track event
+    Analytics.track('snippet-bulk-delete', `Bulk delete ${snippets.length} snippets`);
+}
+
+// Duplicate selected snippets (copies keep their folder and tags)
+async function bulkDuplicateSnippets(snippetIds) {
+    const snippets = await loadSnippetsById(snippetIds);
+    if (snippets.length === 0) return;
+
+    const copies = snippets.map(copySnippet);
+    if (!(await SnippetStorage.saveSnippets(copies))) return;
+
+    await refreshBulkViews();
+    Toast.success(`Duplicated ${formatSnippetCount(copies.length)}`);
+
+    // Track event
+    Analytics.track('snippet-bulk-duplicate', `Bulk duplicate ${copies.length} snippets`);
+}
+
+// Add a tag to (or, with a leading "-", remove a tag from) selected snippets
+async function bulkTagSnippets(snippetIds) {
+    const snippets = await loadSnippetsById(snippetIds);
+    if (snippets.length === 0) return;
+
+    const input = prompt(`Tag to add to ${formatSnippetCount(snippets.length)}:\n(Prefix with "-" to remove a tag instead)`, '');
+    if (input === null) return;
+
+    const isRemoval = input.trim().startsWith('-');
+    const tag = normalizeTag(isRemoval ? input.trim().slice(1) : input);
+    if (!tag) {
+        Toast.error('Tag name cannot be empty');
+        return;
+    }
+
+    // Tagging doesn't change the spec, so keep the modified date (saveSnippets doesn't touch it)
+    const changedSnippets = snippets.filter(snippet => (snippet.tags || []).includes(tag) === isRemoval);
+    changedSnippets.forEach(snippet => {
+        snippet.tags = isRemoval
+            ? snippet.tags.filter(t => t !== tag)
+            : normalizeTags([...(snippet.tags || []), tag]);
+    });
+
+    if (changedSnippets.length > 0 && !(await SnippetStorage.saveSnippets(changedSnippets))) return;
+
+    await refreshBulkViews(changedSnippets.map(snippet => snippet.id));
+
+    const unchanged = snippets.length - changedSnippets.length;
+    const summary = isRemoval
+        ? `Removed tag "${tag}" from ${formatSnippetCount(changedSnippets.length)}`
+        : `Added tag "${tag}" to ${formatSnippetCount(changedSnippets.length)}`;
+    const skipped = unchanged > 0
+        ? ` (${unchanged} ${isRemoval ? 'didn\'t have it' : 'already had it'})`
+        : '';
+    Toast.success(summary + skipped);
+
+    // Track event
+    Analytics.track('snippet-bulk-tag', isRemoval ? 'Bulk remove tag' : 'Bulk add tag');
+}
+
+// Move selected snippets into a folder ('' moves them to the library root)
+async function bulkMoveSnippets(snippetIds, path) {
+    const snippets = await loadSnippetsById(snippetIds);
+    if (snippets.length === 0) return;
+
+    const folder = normalizeFolderPath(path);
+    const movedSnippets = snippets.filter(snippet => (snippet.folder || '') !== folder);
+    movedSnippets.forEach(snippet => {
+        snippet.folder = folder;
+    });
+
+    if (movedSnippets.length > 0 && !(await SnippetStorage.saveSnippets(movedSnippets))) return;
+
+    await refreshBulkViews(movedSnippets.map(snippet => snippet.id));
+
+    const unchanged = snippets.length - movedSnippets.length;
+    const summary = folder
+        ? `Moved ${formatSnippetCount(movedSnippets.length)} to ${folder}`
+        : `Moved ${formatSnippetCount(movedSnippets.length)} out of folders`;
+    Toast.success(unchanged > 0 ? `${summary} (${unchanged} already there)` : summary);
+
+    // Track event
+    Analytics.track('snippet-bulk-move', `Bulk move ${movedSnippets.length} snippets`);
+}
+
+// Publish the drafts of all selected snippets that have unpublished changes
+async function bulkPublishDrafts(snippetIds) {
+    const snippets = await loadSnippetsById(snippetIds);
+    const drafts = snippets.filter(snippet => JSON.stringify(snippet.spec) !== JSON.stringify(snippet.draftSpec));
+
+    if (drafts.length === 0) {
+        Toast.info('None of the selected snippets have draft changes');
+        return;
+    }
+
+    // One optional message shared by every version published in this batch (Cancel aborts)
+    const message = prompt(`Publish ${formatSnippetCount(drafts.length)} - message (optional):`, '');
+    if (message === null) return;
+
+    const now = new Date().toISOString();
+    drafts.forEach(snippet => {
+        ensureVersionHistory(snippet);
+        snippet.spec = JSON.parse(JSON.stringify(snippet.draftSpec));
+        snippet.versions = [...snippet.versions, createVersionRecord(snippet, message)];
+        snippet.datasetRefs = extractDatasetRefs(snippet.spec);
+        snippet.modified = now;
+    });
+
+    if (!(await SnippetStorage.saveSnippets(drafts))) return;
+    queueSnippetThumbnails(drafts);
+
+    await refreshBulkViews(drafts.map(snippet => snippet.id));
+
+    const unchanged = snippets.length - drafts.length;
+    Toast.success(`Published ${drafts.length} draft${drafts.length !== 1 ? 's' : ''}` +
+        (unchanged > 0 ? ` (${formatSnippetCount(unchanged)} had no draft changes)` : ''));
+
+    // Track event
+    Analytics.track('snippet-bulk-publish', `Bulk publish ${drafts.length} drafts`);
+}
+
+// Revert the drafts of all selected snippets to their published spec
+async function bulkRevertDrafts(snippetIds) {
+    const snippets = await loadSnippetsById(snippetIds);
+    const drafts = snippets.filter(snippet => JSON.stringify(snippet.spec) !== JSON.stringify(snippet.draftSpec));
+
+    if (drafts.length === 0) {
+        Toast.info('None of the selected snippets have draft changes');
+        return;
+    }
+
+    if (!confirm(`Revert draft changes in ${formatSnippetCount(drafts.length)} to their last published version? This cannot be undone.`)) {
+        return;
+    }
+
+    const now = new Date().toISOString();
+    drafts.forEach(snippet => {
+        snippet.draftSpec = JSON.parse(JSON.stringify(snippet.spec));
+        snippet.modified = now;
+    });
+
+    if (!(await SnippetStorage.saveSnippets(drafts))) return;
+
+    await refreshBulkViews(drafts.map(snippet => snippet.id));
+
+    const unchanged = snippets.length - drafts.length;
+    Toast.success(`Reverted ${drafts.length} draft${drafts.length !== 1 ? 's' : ''}` +
+        (unchanged > 0 ? ` (${formatSnippetCount(unchanged)} had no draft changes)` : ''));
+
+    // Track event
+    Analytics.track('snippet-bulk-revert', `Bulk revert ${drafts.length} drafts`);
+}
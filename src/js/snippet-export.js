@@ -0,0 +1,190 @@
+// Selective export - pick snippets by selection, tag, folder or search and export them
+// together with only the datasets they reference
+
+// Alpine.js component for the export dialog
+function exportDialog() {
+    return {
+        source: 'everything', // 'everything' | 'selection' | 'tag' | 'folder' | 'search'
+        fileFormat: 'json', // 'json' (single file) | 'zip' (one file per snippet and dataset)
+        variableMode: 'templated', // 'templated' (placeholders and variables) | 'substituted' (default values)
+        tag: '',
+        folder: '',
+        query: '',
+        selectedIds: [],
+
+        // Library snapshot loaded when the dialog opens
+        snippets: [],
+        datasets: [],
+
+        // Size of the export file, recomputed shortly after the choices stop changing
+        // (building the export serializes every chosen dataset)
+        estimatedSize: '…',
+        sizeTimeout: null,
+
+        async init() {
+            // Listen for refresh events dispatched by openExportDialog()
+            this.$el.addEventListener('export-dialog-refresh', async (event) => {
+                await this.load(event.detail || {});
+            });
+
+            ['source', 'fileFormat', 'variableMode', 'tag', 'folder', 'query', 'selectedIds', 'snippets', 'datasets']
+                .forEach(property => this.$watch(property, () => this.scheduleSizeEstimate()));
+        },
+
+        // Load the library and preselect a source from the snippet list state
+        async load({ selectedIds = [], searchQuery = '', preferSelection = false }) {
+            this.snippets = await SnippetStorage.loadSnippets();
+            this.datasets = await DatasetStorage.listDatasets();
+            this.selectedIds = selectedIds;
+            this.query = searchQuery;
+
+            // Set on next tick so the <select> options exist before x-model syncs
+            this.$nextTick(() => {
+                const tagNames = this.tags.map(tag => tag.name);
+                if (!tagNames.includes(this.tag)) this.tag = tagNames[0] || '';
+                if (!this.folders.includes(this.folder)) this.folder = this.folders[0] || '';
+            });
+
+            if (preferSelection) {
+                this.source = 'selection';
+            } else if (searchQuery) {
+                this.source = 'search';
+            } else {
+                this.source = 'everything';
+            }
+        },
+
+        get tags() {
+            return collectTagCounts(this.snippets);
+        },
+
+        get folders() {
+            return collectFolderPaths(this.snippets, getStoredFolders());
+        },
+
+        // Snippets matching the chosen source
+        get chosenSnippets() {
+            switch (this.source) {
+                case 'selection':
+                    return this.snippets.filter(snippet => this.selectedIds.includes(snippet.id));
+                case 'tag':
+                    return this.snippets.filter(snippet => (snippet.tags || []).includes(this.tag));
+                case 'folder':
+                    return this.snippets.filter(snippet => this.folder && isInFolder(snippet.folder || '', this.folder));
+                case 'search':
+                    return this.query.trim() ? SnippetStorage.filterSnippets(this.snippets, this.query.trim()) : [];
+                default:
+                    return this.snippets;
+            }
+        },
+
+        // Chosen snippets as they are exported (see withSubstitutedVariables())
+        get exportedSnippets() {
+            return this.variableMode === 'substituted' ? this.chosenSnippets.map(withSubstitutedVariables) : this.chosenSnippets;
+        },
+
+        get hasTemplateVariables() {
+            return this.chosenSnippets.some(snippet => getSnippetVariables(snippet).length > 0);
+        },
+
+        // A full backup keeps every dataset, otherwise only referenced ones are included
+        get chosenDatasets() {
+            if (this.source === 'everything') return this.datasets;
+
+            const datasetNames = collectReferencedDatasetNames(this.chosenSnippets);
+            return this.datasets.filter(dataset => datasetNames.has(dataset.name));
+        },
+
+        // Referenced datasets that don't exist in this library (the export will lack them)
+        get missingDatasets() {
+            const existingNames = new Set(this.datasets.map(dataset => dataset.name));
+            return [...collectReferencedDatasetNames(this.chosenSnippets)].filter(name => !existingNames.has(name));
+        },
+
+        scheduleSizeEstimate() {
+            this.estimatedSize = '…';
+            clearTimeout(this.sizeTimeout);
+            this.sizeTimeout = setTimeout(() => this.updateSizeEstimate(), 400);
+        },
+
+        updateSizeEstimate() {
+            if (this.fileFormat === 'zip') {
+                this.estimatedSize = formatBytes(createZipArchive(buildProjectZipFiles(this.exportedSnippets, this.chosenDatasets)).size);
+                return;
+            }
+            const exportData = buildProjectExport(this.exportedSnippets, this.chosenDatasets);
+            this.estimatedSize = formatBytes(new Blob([JSON.stringify(exportData, null, 2)]).size);
+        },
+
+        get summary() {
+            const snippetCount = this.chosenSnippets.length;
+            const datasetCount = this.chosenDatasets.length;
+            return `${snippetCount} snippet${snippetCount !== 1 ? 's' : ''}, ${datasetCount} dataset${datasetCount !== 1 ? 's' : ''}`;
+        },
+
+        download() {
+            exportSelectedSnippets(this.exportedSnippets, this.chosenDatasets, this.filenameLabel(), this.source, this.fileFormat);
+        },
+
+        filenameLabel() {
+            switch (this.source) {
+                case 'selection': return 'selection';
+                case 'tag': return `tag-${this.tag}`;
+                case 'folder': return this.folder;
+                case 'search': return 'search';
+                default: return 'project';
+            }
+        },
+
+        cancel() {
+            ModalManager.close('export-modal');
+        }
+    };
+}
+
+// Open the export dialog, preselecting the snippet list's multi-selection or search
+function openExportDialog() {
+    let selectedIds = [];
+    let searchQuery = '';
+
+    const snippetPanel = document.getElementById('snippet-panel');
+    if (snippetPanel && snippetPanel._x_dataStack) {
+        const alpineData = snippetPanel._x_dataStack[0];
+        selectedIds = [...alpineData.selectedIds];
+        searchQuery = alpineData.searchQuery.trim();
+    }
+
+    // Without a multi-selection, the open snippet can still be exported on its own
+    const preferSelection = selectedIds.length > 0;
+    const currentId = Alpine.store('snippets').currentSnippetId;
+    if (!preferSelection && currentId !== null) {
+        selectedIds = [currentId];
+    }
+
+    ModalManager.open('export-modal');
+
+    const exportView = document.getElementById('export-dialog-view');
+    if (exportView) {
+        exportView.dispatchEvent(new CustomEvent('export-dialog-refresh', {
+            detail: { selectedIds, searchQuery, preferSelection }
+        }));
+    }
+}
+
+// Download the snippets and datasets chosen in the export dialog
+function exportSelectedSnippets(snippets, datasets, filenameLabel, source, fileFormat) {
+    if (snippets.length === 0) {
+        Toast.info('No snippets to export');
+        return;
+    }
+
+    downloadProjectExport(snippets, datasets, filenameLabel, fileFormat);
+    ModalManager.close('export-modal');
+
+    // Track event
+    if (source === 'everything') {
+        Analytics.track('project-export', `Export ${snippets.length} snippets, ${datasets.length} datasets as ${fileFormat}`);
+    } else {
+        Analytics.track('project-export-selective', `Export ${snippets.length} snippets by ${source} as ${fileFormat}`);
+    }
+}
@@ -0,0 +1,239 @@
+// Snippet folders - nested collections stored as a path on each snippet ("Reports/Finance")
+
+// Settings keys for folder state that isn't part of any snippet
+const FOLDERS_SETTINGS_KEY = 'folders'; // Explicitly created folders (so empty folders persist)
+const COLLAPSED_FOLDERS_SETTINGS_KEY = 'collapsedFolders';
+
+// Normalize a folder path: trims segments and drops empty ones ('' = library root)
+function normalizeFolderPath(path) {
+    if (typeof path !== 'string') return '';
+    return path.split('/').map(segment => segment.trim()).filter(Boolean).join('/');
+}
+
+// Last segment of a folder path
+function getFolderName(path) {
+    const segments = path.split('/');
+    return segments[segments.length - 1];
+}
+
+// Parent folder path ('' for top-level folders)
+function getParentFolder(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index);
+}
+
+// Check whether a folder path is the given folder or one of its subfolders
+function isInFolder(folder, path) {
+    return folder === path || folder.startsWith(`${path}/`);
+}
+
+// Replace the leading folder path (used when renaming or moving a folder)
+function replaceFolderPrefix(folder, oldPath, newPath) {
+    return normalizeFolderPath(newPath + folder.slice(oldPath.length));
+}
+
+// Explicitly created folders from settings
+function getStoredFolders() {
+    return AppSettings.get(FOLDERS_SETTINGS_KEY) || [];
+}
+
+function saveStoredFolders(folders) {
+    AppSettings.set(FOLDERS_SETTINGS_KEY, [...new Set(folders.map(normalizeFolderPath).filter(Boolean))]);
+}
+
+// All folder paths (from snippets and settings), including every ancestor
+function collectFolderPaths(snippets, storedFolders = []) {
+    const paths = new Set();
+    const addWithAncestors = (path) => {
+        while (path) {
+            paths.add(path);
+            path = getParentFolder(path);
+        }
+    };
+
+    snippets.forEach(snippet => addWithAncestors(snippet.folder || ''));
+    storedFolders.forEach(addWithAncestors);
+
+    return [...paths].sort((a, b) => a.localeCompare(b));
+}
+
+// Flatten folders and snippets into display rows for the snippet list
+// Folder counts include subfolders; snippets keep the order they were passed in
+function buildFolderRows(snippets, folderPaths, options = {}) {
+    const { collapsed = [], expandAll = false, hideEmpty = false } = options;
+    const rows = [];
+
+    const counts = {};
+    snippets.forEach(snippet => {
+        let path = snippet.folder || '';
+        while (path) {
+            counts[path] = (counts[path] || 0) + 1;
+            path = getParentFolder(path);
+        }
+    });
+
+    (function addLevel(parent, depth) {
+        folderPaths
+            .filter(path => getParentFolder(path) === parent)
+            .forEach(path => {
+                if (hideEmpty && !counts[path]) return;
+
+                const isCollapsed = !expandAll && collapsed.includes(path);
+                rows.push({
+                    type: 'folder',
+                    key: `folder:${path}`,
+                    path,
+                    name: getFolderName(path),
+                    depth,
+                    count: counts[path] || 0,
+                    collapsed: isCollapsed
+                });
+
+                if (!isCollapsed) addLevel(path, depth + 1);
+            });
+
+        snippets
+            .filter(snippet => (snippet.folder || '') === parent)
+            .forEach(snippet => rows.push({ type: 'snippet', key: `snippet:${snippet.id}`, snippet, depth }));
+    })('', 0);
+
+    return rows;
+}
+
+// Reload folders and snippets in the snippet list after a folder change
+async function refreshFolderViews() {
+    await renderSnippetList();
+    restoreSnippetSelection();
+
+    const snippet = await getCurrentSnippet();
+    const snippetPanel = document.getElementById('snippet-panel');
+    if (snippet && snippetPanel && snippetPanel._x_dataStack) {
+        const alpineData = snippetPanel._x_dataStack[0];
+        if (alpineData && typeof alpineData.loadMetadata === 'function') {
+            alpineData.loadMetadata(snippet);
+        }
+    }
+}
+
+// Create a folder (optionally inside a parent folder)
+async function createFolder(parentPath = '') {
+    const name = prompt(parentPath ? `New folder inside "${parentPath}":` : 'New folder name:', '');
+    if (name === null) return;
+
+    const folderName = normalizeFolderPath(name.replace(/\//g, '-'));
+    if (!folderName) {
+        Toast.error('Folder name cannot be empty');
+        return;
+    }
+
+    const path = normalizeFolderPath(`${parentPath}/${folderName}`);
+    const existingPaths = collectFolderPaths(await SnippetStorage.loadSnippets(), getStoredFolders());
+    if (existingPaths.includes(path)) {
+        Toast.error(`Folder "${path}" already exists`);
+        return;
+    }
+
+    saveStoredFolders([...getStoredFolders(), path]);
+    await refreshFolderViews();
+
+    // Track event
+    Analytics.track('folder-create', 'Create folder');
+}
+
+// Move a snippet into a folder ('' moves it to the library root)
+async function moveSnippetToFolder(snippetId, path) {
+    const snippet = await SnippetStorage.getSnippet(snippetId);
+    if (!snippet) return;
+
+    const folder = normalizeFolderPath(path);
+    if ((snippet.folder || '') === folder) return;
+
+    // Moving doesn't change the spec, so keep the modified date (saveSnippets doesn't touch it)
+    snippet.folder = folder;
+    if (!(await SnippetStorage.saveSnippets([snippet]))) return;
+
+    await refreshFolderViews();
+    Toast.success(folder ? `Moved "${snippet.name}" to ${folder}` : `Moved "${snippet.name}" out of folders`);
+
+    // Track event
+    Analytics.track('snippet-move', 'Move snippet to folder');
+}
+
+// Rename a folder - snippets and subfolders follow; renaming onto an existing folder merges them
+async function renameFolder(path) {
+    const name = prompt(`Rename folder "${path}" to:`, getFolderName(path));
+    if (name === null) return;
+
+    const folderName = normalizeFolderPath(name.replace(/\//g, '-'));
+    if (!folderName) {
+        Toast.error('Folder name cannot be empty');
+        return;
+    }
+
+    const newPath = normalizeFolderPath(`${getParentFolder(path)}/${folderName}`);
+    if (newPath === path) return;
+
+    const snippets = await SnippetStorage.loadSnippets();
+    const affectedSnippets = snippets.filter(snippet => isInFolder(snippet.folder || '', path));
+    affectedSnippets.forEach(snippet => {
+        snippet.folder = replaceFolderPrefix(snippet.folder, path, newPath);
+    });
+
+    if (affectedSnippets.length > 0 && !(await SnippetStorage.saveSnippets(affectedSnippets))) return;
+
+    saveStoredFolders(getStoredFolders().map(folder =>
+        isInFolder(folder, path) ? replaceFolderPrefix(folder, path, newPath) : folder
+    ));
+    AppSettings.set(COLLAPSED_FOLDERS_SETTINGS_KEY, (AppSettings.get(COLLAPSED_FOLDERS_SETTINGS_KEY) || []).map(folder =>
+        isInFolder(folder, path) ? replaceFolderPrefix(folder, path, newPath) : folder
+    ));
+
+    await refreshFolderViews();
+    Toast.success(`Renamed folder to "${newPath}"`);
+
+    // Track event
+    Analytics.track('folder-rename', 'Rename folder');
+}
+
+// Delete a folder - its snippets (including subfolders) move up to the parent folder
+async function deleteFolder(path) {
+    const parentPath = getParentFolder(path);
+    const snippets = await SnippetStorage.loadSnippets();
+    const affectedSnippets = snippets.filter(snippet => isInFolder(snippet.folder || '', path));
+
+    const warningMessage = affectedSnippets.length > 0
+        ? `Folder "${path}" contains ${affectedSnippets.length} snippet${affectedSnippets.length !== 1 ? 's' : ''}. They will be moved to ${parentPath ? `"${parentPath}"` : 'the library root'} (snippets are not deleted).`
+        : null;
+    if (!confirmGenericDeletion(path, warningMessage)) return;
+
+    affectedSnippets.forEach(snippet => {
+        snippet.folder = parentPath;
+    });
+    if (affectedSnippets.length > 0 && !(await SnippetStorage.saveSnippets(affectedSnippets))) return;
+
+    saveStoredFolders(getStoredFolders().filter(folder => !isInFolder(folder, path)));
+    AppSettings.set(COLLAPSED_FOLDERS_SETTINGS_KEY,
+        (AppSettings.get(COLLAPSED_FOLDERS_SETTINGS_KEY) || []).filter(folder => !isInFolder(folder, path)));
+
+    await refreshFolderViews();
+    Toast.success(`Folder "${path}" deleted`);
+
+    // Track event
+    Analytics.track('folder-delete', 'Delete folder');
+}
+
+// Export a folder (and its subfolders) with the datasets its snippets reference
+async function exportFolder(path) {
+    const snippets = await SnippetStorage.loadSnippets();
+    const folderSnippets = snippets.filter(snippet => isInFolder(snippet.folder || '', path));
+
+    if (folderSnippets.length === 0) {
+        Toast.info(`Folder "${path}" has no snippets to export`);
+        return;
+    }
+
+    await exportSnippetCollection(folderSnippets, path);
+
+    // Track event
+    Analytics.track('folder-export', `Export folder with ${folderSnippets.length} snippets`);
+}
@@ -0,0 +1,206 @@
+// Snippet publish history - immutable version records, diff and restore
+
+// Alpine.js component for the publish history section of the snippet meta panel
+function snippetHistory() {
+    return {
+        versions: [], // Newest first
+        compareFrom: '',
+        compareTo: 'draft',
+
+        async init() {
+            await this.loadVersions();
+
+            // Reload history whenever a different snippet is selected
+            this.$watch('$store.snippets.currentSnippetId', () => this.loadVersions());
+        },
+
+        async loadVersions() {
+            const snippet = await getCurrentSnippet();
+            this.versions = snippet ? [...getSnippetVersions(snippet)].reverse() : [];
+
+            // Default comparison: latest published version against the current draft
+            // (set on next tick so the <select> options exist before x-model syncs)
+            this.$nextTick(() => {
+                this.compareFrom = this.versions.length > 0 ? String(this.versions[0].version) : '';
+                this.compareTo = 'draft';
+            });
+        },
+
+        formatVersionDate(version) {
+            return formatFullDate(version.published);
+        },
+
+        restore(versionNumber) {
+            restoreVersionAsDraft(versionNumber);
+        },
+
+        compare() {
+            openVersionDiff(this.compareFrom, this.compareTo);
+        }
+    };
+}
+
+// Monaco diff editor instance (created lazily on first compare)
+let versionDiffEditor = null;
+
+// Get publish history for a snippet (oldest first)
+function getSnippetVersions(snippet) {
+    return Array.isArray(snippet.versions) ? snippet.versions : [];
+}
+
+// Build a new version record from the snippet's current published spec
+// Records are never modified after being appended to snippet.versions
+function createVersionRecord(snippet, message = '') {
+    const versions = getSnippetVersions(snippet);
+    const lastVersion = versions[versions.length - 1];
+
+    return {
+        version: lastVersion ? lastVersion.version + 1 : 1,
+        published: new Date().toISOString(),
+        message: message.trim(),
+        spec: JSON.parse(JSON.stringify(snippet.spec))
+    };
+}
+
+// Snippets created before publish history existed have no versions array
+// Keep their last published spec as version 1 so it isn't lost on the next publish
+function ensureVersionHistory(snippet) {
+    if (Array.isArray(snippet.versions)) return;
+
+    snippet.versions = [{
+        version: 1,
+        published: snippet.created,
+        message: 'Published before version history was enabled',
+        spec: JSON.parse(JSON.stringify(snippet.spec))
+    }];
+}
+
+// Refresh the history panel (reloads versions for the current snippet)
+async function renderSnippetHistory() {
+    const historySection = document.getElementById('snippet-history');
+    if (historySection && historySection._x_dataStack) {
+        const alpineData = historySection._x_dataStack[0];
+        if (alpineData && typeof alpineData.loadVersions === 'function') {
+            await alpineData.loadVersions();
+        }
+    }
+}
+
+// Library items a spec refers to that don't exist (any more), e.g. ['theme "Corporate"'].
+// Versions are never edited, so they keep names from before a theme or fragment was renamed or deleted.
+async function findMissingLibraryReferences(spec) {
+    const missing = [];
+
+    const themeName = getSpecThemeName(spec);
+    if (themeName && !(await ThemeStorage.getThemeByName(themeName))) {
+        missing.push(`theme "${themeName}"`);
+    }
+    for (const name of findFragmentIncludes(spec)) {
+        if (!(await FragmentStorage.getFragmentByName(name))) {
+            missing.push(`fragment "${name}"`);
+        }
+    }
+    return missing;
+}
+
+// Copy a published version into the draft of the current snippet
+async function restoreVersionAsDraft(versionNumber) {
+    const snippet = await getCurrentSnippet();
+    if (!snippet) return;
+
+    const version = getSnippetVersions(snippet).find(v => v.version === versionNumber);
+    if (!version) {
+        Toast.error(`Version ${versionNumber} not found`);
+        return;
+    }
+
+    // Restoring replaces the working draft, so confirm if it has unpublished changes
+    const hasDraft = JSON.stringify(snippet.spec) !== JSON.stringify(snippet.draftSpec);
+    if (hasDraft && !confirm(`Replace current draft changes with version ${versionNumber}? Unpublished changes will be lost.`)) {
+        return;
+    }
+
+    snippet.draftSpec = JSON.parse(JSON.stringify(version.spec));
+    snippet.datasetRefs = extractDatasetRefs(snippet.draftSpec);
+    await SnippetStorage.saveSnippet(snippet);
+
+    // Show the restored draft in the editor
+    Alpine.store('snippets').viewMode = 'draft';
+    loadSnippetIntoEditor(snippet);
+    updateViewModeUI(snippet);
+    updateLinkedDatasets(snippet);
+
+    // Refresh UI
+    await renderSnippetList();
+    restoreSnippetSelection();
+
+    const missing = await findMissingLibraryReferences(snippet.draftSpec);
+    if (missing.length > 0) {
+        Toast.warning(`Version ${versionNumber} restored as draft, but it refers to ${missing.join(', ')}, which no longer ${missing.length === 1 ? 'exists' : 'exist'} - update the reference`);
+    } else {
+        Toast.success(`Version ${versionNumber} restored as draft`);
+    }
+
+    // Track event
+    Analytics.track('snippet-restore-version', 'Restore version as draft');
+}
+
+// Resolve a comparison key ('draft' or a version number) to a spec
+function getSpecForComparison(snippet, key) {
+    if (key === 'draft') return snippet.draftSpec;
+    const version = getSnippetVersions(snippet).find(v => String(v.version) === String(key));
+    return version ? version.spec : null;
+}
+
+// Human-readable label for a comparison key
+function getComparisonLabel(key) {
+    return key === 'draft' ? 'Current draft' : `Version ${key}`;
+}
+
+// Open side-by-side JSON diff between two versions of the current snippet
+async function openVersionDiff(fromKey, toKey) {
+    const snippet = await getCurrentSnippet();
+    if (!snippet) return;
+
+    if (typeof monaco === 'undefined') {
+        Toast.warning('Editor is still loading. Please try again in a moment.');
+        return;
+    }
+
+    const originalSpec = getSpecForComparison(snippet, fromKey);
+    const modifiedSpec = getSpecForComparison(snippet, toKey);
+    if (!originalSpec || !modifiedSpec) {
+        Toast.warning('Select two versions to compare');
+        return;
+    }
+
+    document.getElementById('version-diff-from-label').textContent = getComparisonLabel(fromKey);
+    document.getElementById('version-diff-to-label').textContent = getComparisonLabel(toKey);
+    ModalManager.open('version-diff-modal');
+
+    if (!versionDiffEditor) {
+        const editorSettings = getSetting('editor') || {};
+        versionDiffEditor = monaco.editor.createDiffEditor(document.getElementById('version-diff-editor'), {
+            readOnly: true,
+            renderSideBySide: true,
+            automaticLayout: true,
+            scrollBeyondLastLine: false,
+            fontSize: editorSettings.fontSize || 12,
+            minimap: { enabled: false }
+        });
+    }
+
+    // Swap in fresh models and dispose the previous pair
+    const previousModel = versionDiffEditor.getModel();
+    versionDiffEditor.setModel({
+        original: monaco.editor.createModel(JSON.stringify(originalSpec, null, 2), 'json'),
+        modified: monaco.editor.createModel(JSON.stringify(modifiedSpec, null, 2), 'json')
+    });
+    if (previousModel) {
+        previousModel.original.dispose();
+        previousModel.modified.dispose();
+    }
+
+    // Track event
+    Analytics.track('snippet-version-diff', 'Compare snippet versions');
+}
@@ -0,0 +1,357 @@
+// Import preview - compare incoming snippets and datasets with the library and choose
+// how each one is imported before anything is written
+
+// Alpine.js component for the import preview dialog
+function importPreview() {
+    return {
+        stage: 'preview', // 'preview' | 'report'
+        fileName: '',
+        items: [], // [{ key, type, name, incoming, existing, status, matchedBy, action, result }]
+        strategy: 'keep-both', // Applied to every conflicting item by applyStrategy()
+        report: null,
+        applying: false,
+        charts: null, // Charts extracted from a notebook or HTML file (see chart-import.js)
+        extractChartData: true,
+
+        async init() {
+            // Listen for refresh events dispatched by openImportPreview()
+            this.$el.addEventListener('import-preview-refresh', async (event) => {
+                await this.load(event.detail);
+            });
+        },
+
+        async load({ importedData, fileName, charts }) {
+            this.items = await buildImportPlan(importedData);
+            this.fileName = fileName;
+            this.charts = charts;
+            this.extractChartData = true;
+            this.strategy = 'keep-both';
+            this.report = null;
+            this.stage = 'preview';
+        },
+
+        get snippetItems() {
+            return this.items.filter(item => item.type === 'snippet');
+        },
+
+        get datasetItems() {
+            return this.items.filter(item => item.type === 'dataset');
+        },
+
+        get summary() {
+            const count = (status) => this.items.filter(item => item.status === status).length;
+            return `${count('new')} new, ${count('identical')} identical, ${count('conflict')} conflicting`;
+        },
+
+        get pendingCount() {
+            return this.items.filter(item => item.action !== 'skip').length;
+        },
+
+        // Choices offered for an item depend on whether (and how) it matches the library
+        actionsFor(item) {
+            if (item.status === 'new') {
+                return [{ value: 'import', label: 'Import' }, { value: 'skip', label: 'Skip' }];
+            }
+
+            const actions = [
+                { value: 'skip', label: 'Skip' },
+                { value: 'overwrite', label: 'Overwrite' },
+                { value: 'keep-both', label: 'Keep both (rename)' }
+            ];
+            if (item.type === 'snippet') {
+                actions.push({ value: 'merge-draft', label: 'Merge as draft' });
+            }
+            return actions;
+        },
+
+        statusLabel(item) {
+            if (item.status === 'new') return 'New';
+            if (item.status === 'identical') return 'Identical';
+            return item.matchedBy === 'id' ? 'Conflict (same ID)' : 'Conflict (same name)';
+        },
+
+        // Apply the global strategy to all conflicting items (datasets can't be merged as drafts)
+        applyStrategy() {
+            this.items.forEach(item => {
+                if (item.status !== 'conflict') return;
+                item.action = this.strategy === 'merge-draft' && item.type === 'dataset' ? 'keep-both' : this.strategy;
+            });
+        },
+
+        // Re-plan extracted charts with their inline data moved into datasets or kept in the specs
+        async rebuildChartImport() {
+            this.items = await buildImportPlan(buildChartImportData(this.charts, this.extractChartData, this.fileName));
+            this.strategy = 'keep-both';
+        },
+
+        async confirm() {
+            this.applying = true;
+            try {
+                this.report = await applyImportPlan(this.items);
+                this.stage = 'report';
+            } finally {
+                this.applying = false;
+            }
+        },
+
+        close() {
+            ModalManager.close('import-modal');
+        }
+    };
+}
+
+// Split an import file into raw snippets and datasets: legacy array, unified project
+// export, or a single snippet object
+function splitImportedData(importedData) {
+    if (Array.isArray(importedData)) {
+        return { snippets: importedData, datasets: [] };
+    }
+    if (importedData.version && importedData.snippets) {
+        return { snippets: importedData.snippets || [], datasets: importedData.datasets || [] };
+    }
+    return { snippets: [importedData], datasets: [] };
+}
+
+// Content that makes two snippets "the same" (timestamps and history are ignored)
+function snippetFingerprint(snippet) {
+    return JSON.stringify([
+        snippet.name, snippet.spec, snippet.draftSpec, snippet.comment || '',
+        normalizeTags(snippet.tags), normalizeFolderPath(snippet.folder)
+    ]);
+}
+
+function datasetFingerprint(dataset) {
+    return JSON.stringify([dataset.data, dataset.format, dataset.source]);
+}
+
+// Classify every incoming item as new, identical or conflicting with the library
+// Snippets match by ID first, then by name; datasets match by name (snippets reference them by name)
+async function buildImportPlan(importedData) {
+    const { snippets, datasets } = splitImportedData(importedData);
+    const existingSnippets = await SnippetStorage.loadSnippets();
+    const existingDatasets = await DatasetStorage.listDatasets();
+
+    const snippetItems = snippets.map((rawSnippet, index) => {
+        const incoming = normalizeSnippet(rawSnippet);
+        let existing = existingSnippets.find(snippet => snippet.id === incoming.id);
+        let matchedBy = existing ? 'id' : null;
+        if (!existing) {
+            existing = existingSnippets.find(snippet => snippet.name === incoming.name);
+            matchedBy = existing ? 'name' : null;
+        }
+
+        return createImportItem('snippet', index, incoming, existing, matchedBy,
+            existing && snippetFingerprint(existing) === snippetFingerprint(incoming));
+    });
+
+    const datasetItems = datasets.map((incoming, index) => {
+        const existing = existingDatasets.find(dataset => dataset.name === incoming.name);
+        return createImportItem('dataset', index, incoming, existing, existing ? 'name' : null,
+            existing && datasetFingerprint(existing) === datasetFingerprint(incoming));
+    });
+
+    return [...snippetItems, ...datasetItems];
+}
+
+// New items are imported, identical ones skipped; conflicts keep both copies by default
+// (the non-destructive behaviour of earlier versions)
+function createImportItem(type, index, incoming, existing, matchedBy, isIdentical) {
+    const status = !existing ? 'new' : (isIdentical ? 'identical' : 'conflict');
+    const defaultActions = { new: 'import', identical: 'skip', conflict: 'keep-both' };
+
+    return {
+        key: `${type}-${index}`,
+        type,
+        name: incoming.name,
+        incoming,
+        existing: existing || null,
+        status,
+        matchedBy,
+        action: defaultActions[status],
+        result: ''
+    };
+}
+
+// First free name of the form "name_imported", "name_imported_2", ...
+function getImportedName(name, isTaken) {
+    let candidate = `${name}_imported`;
+    let counter = 2;
+    while (isTaken(candidate)) {
+        candidate = `${name}_imported_${counter}`;
+        counter++;
+    }
+    return candidate;
+}
+
+// Plain copy of an item's record (the items live in Alpine's reactive proxies, which IndexedDB can't store)
+function cloneImportRecord(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+// Write the chosen actions to storage and return a report of what changed
+async function applyImportPlan(items) {
+    const report = { added: 0, overwritten: 0, renamed: 0, merged: 0, skipped: 0, failed: 0 };
+    const renamedDatasets = new Map(); // Incoming name -> name it was imported under
+
+    // IDs held by trashed items count as used, so restoring them never overwrites an imported record
+    const trashEntries = await TrashStorage.listTrash();
+    const getTrashedIds = (type) => trashEntries.filter(entry => entry.type === type).map(entry => entry.item.id);
+
+    // Datasets first, so snippets can follow renamed datasets
+    const existingDatasets = await DatasetStorage.listDatasets();
+    const datasetNames = new Set(existingDatasets.map(dataset => dataset.name));
+    const datasetIds = new Set([...existingDatasets.map(dataset => dataset.id), ...getTrashedIds('dataset')]);
+    for (const item of items.filter(item => item.type === 'dataset')) {
+        const dataset = cloneImportRecord(item.incoming);
+        try {
+            switch (item.action) {
+                case 'import': {
+                    // New datasets keep their ID and timestamps unless the ID is taken, so a project round-trips
+                    const original = dataset.id !== undefined && !datasetIds.has(dataset.id)
+                        ? { id: dataset.id, created: dataset.created, modified: dataset.modified }
+                        : {};
+                    const created = await DatasetStorage.createDataset(dataset.name, dataset.data, dataset.format, dataset.source, dataset.comment || '', original);
+                    datasetNames.add(dataset.name);
+                    datasetIds.add(created.id);
+                    item.result = 'Added';
+                    report.added++;
+                    break;
+                }
+                case 'overwrite':
+                    await DatasetStorage.updateDataset(item.existing.id, {
+                        data: dataset.data,
+                        format: dataset.format,
+                        source: dataset.source,
+                        comment: dataset.comment || ''
+                    });
+                    item.result = 'Overwritten';
+                    report.overwritten++;
+                    break;
+                case 'keep-both': {
+                    const newName = getImportedName(dataset.name, name => datasetNames.has(name));
+                    await DatasetStorage.createDataset(newName, dataset.data, dataset.format, dataset.source, dataset.comment || '');
+                    datasetNames.add(newName);
+                    renamedDatasets.set(dataset.name, newName);
+                    item.result = `Added as "${newName}"`;
+                    report.renamed++;
+                    break;
+                }
+                default:
+                    item.result = 'Skipped';
+                    report.skipped++;
+            }
+        } catch (error) {
+            console.warn(`Failed to import dataset ${dataset.name}:`, error);
+            item.result = `Failed: ${error.message}`;
+            report.failed++;
+        }
+    }
+
+    // Snippets from the file point at the datasets under the names they were imported as
+    const followRenames = (spec) => {
+        let result = spec;
+        renamedDatasets.forEach((newName, oldName) => {
+            result = replaceDatasetNameInSpec(result, oldName, newName);
+        });
+        return result;
+    };
+
+    const existingSnippets = await SnippetStorage.loadSnippets();
+    const usedIds = new Set([...existingSnippets.map(snippet => snippet.id), ...getTrashedIds('snippet')]);
+    const snippetNames = new Set(existingSnippets.map(snippet => snippet.name));
+    const snippetItems = items.filter(item => item.type === 'snippet');
+    const snippetReport = { added: 0, overwritten: 0, renamed: 0, merged: 0 };
+    const snippetsToSave = [];
+    const now = new Date().toISOString();
+
+    snippetItems.forEach(item => {
+        const incoming = cloneImportRecord(item.incoming);
+        incoming.spec = followRenames(incoming.spec);
+        incoming.draftSpec = followRenames(incoming.draftSpec);
+        incoming.datasetRefs = extractDatasetRefs(incoming.draftSpec);
+
+        switch (item.action) {
+            case 'import':
+            case 'keep-both': {
+                while (usedIds.has(incoming.id)) {
+                    incoming.id = generateSnippetId();
+                }
+                if (item.action === 'keep-both') {
+                    incoming.name = getImportedName(incoming.name, name => snippetNames.has(name));
+                }
+                usedIds.add(incoming.id);
+                snippetNames.add(incoming.name);
+                snippetsToSave.push(incoming);
+                item.result = item.action === 'keep-both' ? `Added as "${incoming.name}"` : 'Added';
+                snippetReport[item.action === 'keep-both' ? 'renamed' : 'added']++;
+                break;
+            }
+            case 'overwrite':
+                snippetsToSave.push({ ...incoming, id: item.existing.id });
+                item.result = 'Overwritten';
+                snippetReport.overwritten++;
+                break;
+            case 'merge-draft':
+                // The incoming version becomes the draft; the published spec and history stay as they were
+                snippetsToSave.push({
+                    ...cloneImportRecord(item.existing),
+                    draftSpec: incoming.draftSpec,
+                    datasetRefs: incoming.datasetRefs,
+                    tags: normalizeTags([...(item.existing.tags || []), ...incoming.tags]),
+                    modified: now
+                });
+                item.result = 'Merged into draft';
+                snippetReport.merged++;
+                break;
+            default:
+                item.result = 'Skipped';
+                report.skipped++;
+        }
+    });
+
+    if (snippetsToSave.length === 0 || await SnippetStorage.saveSnippets(snippetsToSave)) {
+        Object.keys(snippetReport).forEach(key => {
+            report[key] += snippetReport[key];
+        });
+    } else {
+        // saveSnippets() has already reported the storage error
+        snippetItems.filter(item => item.action !== 'skip').forEach(item => {
+            item.result = 'Failed: storage error';
+        });
+        report.failed += snippetsToSave.length;
+    }
+
+    await refreshBulkViews(snippetsToSave.map(snippet => snippet.id));
+    await renderDatasetList();
+    updateStorageMonitor();
+
+    const changed = report.added + report.overwritten + report.renamed + report.merged;
+    if (report.failed > 0) {
+        Toast.warning(`Imported ${changed} item${changed !== 1 ? 's' : ''}, ${report.failed} failed`);
+    } else {
+        Toast.success(`Imported ${changed} item${changed !== 1 ? 's' : ''}`);
+    }
+
+    // Track event
+    Analytics.track('project-import', `Import ${changed} items (${report.overwritten} overwritten, ${report.merged} merged)`);
+
+    return report;
+}
+
+// Open the import preview for a parsed import file (options.charts: charts extracted by chart-import.js)
+function openImportPreview(importedData, fileName, options = {}) {
+    const { snippets, datasets } = splitImportedData(importedData);
+    if (snippets.length === 0 && datasets.length === 0) {
+        Toast.info('No snippets found in file');
+        return;
+    }
+
+    ModalManager.open('import-modal');
+
+    const importView = document.getElementById('import-preview-view');
+    if (importView) {
+        importView.dispatchEvent(new CustomEvent('import-preview-refresh', {
+            detail: { importedData, fileName, charts: options.charts || null }
+        }));
+    }
+}
@@ -1,4 +1,4 @@
-// Snippet management and localStorage functionality
+// Snippet management and IndexedDB storage functionality
 
 // Alpine.js Store for UI state only (selection tracking)
 // Business logic stays in SnippetStorage
@@ -13,22 +13,235 @@ document.addEventListener('alpine:init', () => {
 // Thin wrapper around SnippetStorage - Alpine handles reactivity, storage handles logic
 function snippetList() {
     return {
+        snippets: [],
         searchQuery: '',
         sortBy: AppSettings.get('sortBy') || 'modified',
         sortOrder: AppSettings.get('sortOrder') || 'desc',
 
+        // Tag filter (snippets must carry every active tag)
+        activeTags: [],
+
+        // Folder state
+        knownFolders: getStoredFolders(),
+        collapsedFolders: AppSettings.get(COLLAPSED_FOLDERS_SETTINGS_KEY) || [],
+        draggedSnippetId: null,
+        dragOverFolder: null,
+
+        // Trash view replaces the library list while open
+        showTrash: false,
+
+        // 'list' or 'gallery' (thumbnail grid, see snippet-thumbnails.js)
+        viewStyle: AppSettings.get(SNIPPET_VIEW_SETTINGS_KEY) || 'list',
+        pendingThumbnailIds: [], // Snippets waiting for a thumbnail, checked when thumbnails are queued
+
+        // Multi-selection for bulk actions (shift/ctrl/cmd-click)
+        selectedIds: [],
+        selectionAnchorId: null,
+        bulkFolder: '',
+
         // Meta fields for selected snippet
         snippetName: '',
         snippetComment: '',
+        snippetTags: [],
+        newTag: '',
+        snippetFolder: '',
         metaSaveTimeout: null,
 
-        // Computed property: calls SnippetStorage with current filters/sort
+        async init() {
+            await this.loadSnippets();
+
+            // Listen for refresh events dispatched by renderSnippetList()
+            this.$el.addEventListener('snippet-list-refresh', async () => {
+                await this.loadSnippets();
+            });
+
+            // Thumbnails generated in the background are patched into the loaded list
+            this.$el.addEventListener('snippet-thumbnail-ready', (event) => {
+                const snippet = this.snippets.find(s => s.id === event.detail.snippetId);
+                if (snippet) snippet.thumbnail = event.detail.thumbnail;
+                this.pendingThumbnailIds = this.pendingThumbnailIds.filter(id => id !== event.detail.snippetId);
+            });
+        },
+
+        // Load snippets from IndexedDB into the reactive list
+        async loadSnippets() {
+            this.snippets = await SnippetStorage.loadSnippets();
+            this.knownFolders = getStoredFolders();
+
+            // Drop filters for tags that no longer exist (renamed, merged or deleted)
+            const tagNames = this.allTags.map(tag => tag.name);
+            this.activeTags = this.activeTags.filter(tag => tagNames.includes(tag));
+
+            // Drop deleted snippets from the multi-selection
+            const snippetIds = new Set(this.snippets.map(snippet => snippet.id));
+            this.selectedIds = this.selectedIds.filter(id => snippetIds.has(id));
+
+            // Old snippets get their thumbnails lazily, once the gallery is shown
+            if (this.galleryView) {
+                this.queueThumbnails();
+            }
+        },
+
+        // Computed property: applies current filters/sort to the loaded snippets
         get filteredSnippets() {
-            return SnippetStorage.listSnippets(
-                this.sortBy,
-                this.sortOrder,
-                this.searchQuery
-            );
+            let snippets = [...this.snippets];
+            if (this.searchQuery && this.searchQuery.trim()) {
+                snippets = SnippetStorage.filterSnippets(snippets, this.searchQuery.trim());
+            }
+            if (this.activeTags.length > 0) {
+                snippets = snippets.filter(snippet =>
+                    this.activeTags.every(tag => (snippet.tags || []).includes(tag))
+                );
+            }
+            return SnippetStorage.sortSnippets(snippets, this.sortBy, this.sortOrder);
+        },
+
+        // Computed property: parsed search terms (used for match highlighting)
+        get searchTerms() {
+            return parseSearchQuery(this.searchQuery);
+        },
+
+        // Snippet name with free-text matches wrapped in <mark> (HTML-escaped)
+        highlightName(snippet) {
+            return highlightSearchText(snippet.name, this.searchTerms);
+        },
+
+        // Short description of where a snippet matched the current search
+        describeMatch(snippet) {
+            if (this.searchTerms.length === 0) return '';
+            const match = matchSnippetQuery(snippet, this.searchTerms);
+            return match && match.places.length > 0 ? `Matched: ${match.places.join(', ')}` : '';
+        },
+
+        // Computed property: every tag in the library with its snippet count
+        get allTags() {
+            return collectTagCounts(this.snippets);
+        },
+
+        toggleTagFilter(tag) {
+            if (this.activeTags.includes(tag)) {
+                this.activeTags = this.activeTags.filter(t => t !== tag);
+            } else {
+                this.activeTags = [...this.activeTags, tag];
+            }
+        },
+
+        clearTagFilter() {
+            this.activeTags = [];
+        },
+
+        openTagManager() {
+            window.openTagManager();
+        },
+
+        get galleryView() {
+            return this.viewStyle === 'gallery';
+        },
+
+        toggleGalleryView() {
+            this.viewStyle = this.galleryView ? 'list' : 'gallery';
+            AppSettings.set(SNIPPET_VIEW_SETTINGS_KEY, this.viewStyle);
+            if (this.galleryView) {
+                this.queueThumbnails();
+            }
+        },
+
+        // Queue missing and stale thumbnails; the specs are hashed here, not on every render
+        async queueThumbnails() {
+            this.pendingThumbnailIds = await queueSnippetThumbnails(this.snippets);
+        },
+
+        // Placeholder text while a snippet has no thumbnail image
+        thumbnailLabel(snippet) {
+            return this.pendingThumbnailIds.includes(snippet.id) ? 'Rendering...' : 'No preview';
+        },
+
+        toggleTrash() {
+            this.showTrash = !this.showTrash;
+            if (this.showTrash) {
+                refreshTrashView();
+            }
+        },
+
+        // Computed property: every folder path, including empty folders created by the user
+        get folderPaths() {
+            return collectFolderPaths(this.snippets, this.knownFolders);
+        },
+
+        // Computed property: folders and snippets flattened into rows for the list
+        // While searching or filtering by tag, all folders are expanded and empty ones hidden
+        get listRows() {
+            const isFiltering = this.searchQuery.trim() !== '' || this.activeTags.length > 0;
+            return buildFolderRows(this.filteredSnippets, this.folderPaths, {
+                collapsed: this.collapsedFolders,
+                expandAll: isFiltering,
+                hideEmpty: isFiltering
+            });
+        },
+
+        rowIndent(row) {
+            return { paddingLeft: `${8 + row.depth * 12}px` };
+        },
+
+        toggleFolder(path) {
+            if (this.collapsedFolders.includes(path)) {
+                this.collapsedFolders = this.collapsedFolders.filter(p => p !== path);
+            } else {
+                this.collapsedFolders = [...this.collapsedFolders, path];
+            }
+            AppSettings.set(COLLAPSED_FOLDERS_SETTINGS_KEY, this.collapsedFolders);
+        },
+
+        // Drag and drop snippets onto folders (dropping on the list background moves to root)
+        startSnippetDrag(event, snippet) {
+            this.draggedSnippetId = snippet.id;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', String(snippet.id));
+        },
+
+        endSnippetDrag() {
+            this.draggedSnippetId = null;
+            this.dragOverFolder = null;
+        },
+
+        async dropOnFolder(path) {
+            const snippetId = this.draggedSnippetId;
+            this.endSnippetDrag();
+            if (snippetId === null) return;
+
+            // Dragging one of several selected snippets moves the whole selection
+            if (this.selectedIds.length > 1 && this.selectedIds.includes(snippetId)) {
+                await bulkMoveSnippets(this.selectedIds, path);
+            } else {
+                await moveSnippetToFolder(snippetId, path);
+            }
+        },
+
+        createFolder(parentPath = '') {
+            window.createFolder(parentPath);
+        },
+
+        renameFolder(path) {
+            window.renameFolder(path);
+        },
+
+        deleteFolder(path) {
+            window.deleteFolder(path);
+        },
+
+        exportFolder(path) {
+            window.exportFolder(path);
+        },
+
+        presentFolder(path) {
+            window.presentFolder(path);
+        },
+
+        // Move the selected snippet using the folder picker in the meta panel
+        async moveToFolder() {
+            if (Alpine.store('snippets').currentSnippetId) {
+                await moveSnippetToFolder(Alpine.store('snippets').currentSnippetId, this.snippetFolder);
+            }
         },
 
         toggleSort(sortType) {
@@ -59,7 +272,7 @@ function snippetList() {
         },
 
         getSize(snippet) {
-            const snippetSize = new Blob([JSON.stringify(snippet)]).size;
+            const snippetSize = new Blob([JSON.stringify(withoutThumbnail(snippet))]).size;
             return snippetSize / 1024; // KB
         },
 
@@ -71,6 +284,36 @@ function snippetList() {
         loadMetadata(snippet) {
             this.snippetName = snippet.name || '';
             this.snippetComment = snippet.comment || '';
+            this.snippetTags = [...(snippet.tags || [])];
+            this.newTag = '';
+            this.snippetFolder = snippet.folder || '';
+        },
+
+        // Add tag from the tag input (Enter or comma)
+        async addTag() {
+            const tag = normalizeTag(this.newTag);
+            this.newTag = '';
+            if (!tag || this.snippetTags.includes(tag)) return;
+
+            this.snippetTags = [...this.snippetTags, tag];
+            await this.saveTags();
+        },
+
+        async removeTag(tag) {
+            this.snippetTags = this.snippetTags.filter(t => t !== tag);
+            await this.saveTags();
+        },
+
+        // Save tags of the selected snippet immediately (no debounce - discrete edits)
+        async saveTags() {
+            const snippet = await getCurrentSnippet();
+            if (snippet) {
+                snippet.tags = normalizeTags(this.snippetTags);
+                await SnippetStorage.saveSnippet(snippet);
+
+                await renderSnippetList();
+                restoreSnippetSelection();
+            }
         },
 
         // Save meta fields with debouncing (called via x-model watchers)
@@ -80,21 +323,107 @@ function snippetList() {
         },
 
         // Save meta fields to storage
-        saveMeta() {
-            const snippet = getCurrentSnippet();
+        async saveMeta() {
+            const snippet = await getCurrentSnippet();
             if (snippet) {
                 snippet.name = this.snippetName.trim() || generateSnippetName();
                 snippet.comment = this.snippetComment;
-                SnippetStorage.saveSnippet(snippet);
+                await SnippetStorage.saveSnippet(snippet);
 
                 // Update the snippet list display to reflect the new name
-                renderSnippetList();
+                await renderSnippetList();
 
                 // Restore selection after re-render
                 restoreSnippetSelection();
             }
         },
 
+        // Click on a snippet row: shift-click selects a range, ctrl/cmd-click toggles,
+        // a plain click clears the multi-selection and opens the snippet
+        handleSnippetClick(event, snippet) {
+            const visibleIds = this.listRows.filter(row => row.type === 'snippet').map(row => row.snippet.id);
+            const currentId = Alpine.store('snippets').currentSnippetId;
+
+            if (event.shiftKey) {
+                const anchorId = this.selectionAnchorId ?? currentId;
+                const from = visibleIds.indexOf(anchorId);
+                const to = visibleIds.indexOf(snippet.id);
+                if (from !== -1 && to !== -1) {
+                    this.selectedIds = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+                    return;
+                }
+            }
+
+            if (event.ctrlKey || event.metaKey) {
+                // The open snippet is part of the selection when ctrl-click starts one
+                const selected = this.selectedIds.length === 0 && currentId !== null ? [currentId] : this.selectedIds;
+                this.selectedIds = selected.includes(snippet.id)
+                    ? selected.filter(id => id !== snippet.id)
+                    : [...selected, snippet.id];
+                this.selectionAnchorId = snippet.id;
+                return;
+            }
+
+            this.clearMultiSelection();
+            this.selectionAnchorId = snippet.id;
+            this.selectSnippet(snippet.id);
+        },
+
+        isMultiSelected(snippet) {
+            return this.selectedIds.includes(snippet.id);
+        },
+
+        clearMultiSelection() {
+            this.selectedIds = [];
+        },
+
+        // Bulk actions on the multi-selection
+        bulkDelete() {
+            bulkDeleteSnippets(this.selectedIds);
+        },
+
+        bulkDuplicate() {
+            bulkDuplicateSnippets(this.selectedIds);
+        },
+
+        bulkTag() {
+            bulkTagSnippets(this.selectedIds);
+        },
+
+        // Folder picker in the bulk bar ('/' is the library root)
+        async bulkMove() {
+            const path = this.bulkFolder;
+            this.bulkFolder = '';
+            if (path) {
+                await bulkMoveSnippets(this.selectedIds, path);
+            }
+        },
+
+        bulkPublish() {
+            bulkPublishDrafts(this.selectedIds);
+        },
+
+        bulkRevert() {
+            bulkRevertDrafts(this.selectedIds);
+        },
+
+        // Export goes through the export dialog (preselected to the selection) to show what's included
+        bulkExport() {
+            openExportDialog();
+        },
+
+        bulkRender() {
+            openBatchRenderDialog(this.selectedIds);
+        },
+
+        bulkExportHtml() {
+            openHtmlExportDialog(this.selectedIds);
+        },
+
+        bulkPresent() {
+            presentSelection(this.selectedIds);
+        },
+
         // Actions
         selectSnippet(snippetId) {
             window.selectSnippet(snippetId);
@@ -106,9 +435,6 @@ function snippetList() {
     };
 }
 
-// Storage limits (5MB in bytes)
-const STORAGE_LIMIT_BYTES = 5 * 1024 * 1024;
-
 // Generate unique ID using Date.now() + random numbers
 function generateSnippetId() {
     return Date.now() + Math.random() * 1000;
@@ -147,6 +473,17 @@ function traverseSpec(spec, callback, defaultReturn = null) {
     return defaultReturn;
 }
 
+// Call callback on every view of a spec (the spec itself, its layers, concatenations and facet spec)
+function forEachSpecView(spec, callback) {
+    if (!spec || typeof spec !== 'object') return;
+
+    callback(spec);
+    for (const key of NESTED_SPEC_KEYS) {
+        const nested = Array.isArray(spec[key]) ? spec[key] : [spec[key]];
+        nested.forEach(item => forEachSpecView(item, callback));
+    }
+}
+
 // Extract dataset references from Vega-Lite spec
 function extractDatasetRefs(spec) {
     const datasetNames = new Set();
@@ -256,77 +593,127 @@ function createSnippet(spec, name = null) {
         comment: "",
         tags: [],
         datasetRefs: [],
+        versions: [], // Immutable publish history (see snippet-history.js)
+        folder: '', // Folder path, '' = library root (see snippet-folders.js)
+        variables: [], // Template variables [{ name, type, default }] (see template-variables.js)
         meta: {}
     };
 }
 
-// LocalStorage wrapper with error handling
+// IndexedDB wrapper with error handling (shares the database opened in dataset-manager.js)
 const SnippetStorage = {
-    STORAGE_KEY: 'astrolabe-snippets',
+    LEGACY_STORAGE_KEY: 'astrolabe-snippets',
+
+    // Initialize database
+    async init() {
+        if (!db) {
+            await initializeDatasetDB();
+        }
+        return db;
+    },
 
-    // Save all snippets to localStorage
-    saveSnippets(snippets) {
+    // Save many snippets in a single transaction (add or update)
+    async saveSnippets(snippets) {
         try {
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(snippets));
+            await this.init();
+
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([SNIPPET_STORE_NAME], 'readwrite');
+                const store = transaction.objectStore(SNIPPET_STORE_NAME);
+                snippets.forEach(snippet => store.put(snippet));
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+
             updateStorageMonitor();
+            notifySnippetsSaved(snippets);
             return true;
         } catch (error) {
-            console.error('Failed to save snippets to localStorage:', error);
+            console.error('Failed to save snippets to IndexedDB:', error);
             Toast.error('Failed to save: Storage quota may be exceeded. Consider deleting old snippets.');
             return false;
         }
     },
 
-    // Load all snippets from localStorage
-    loadSnippets() {
+    // Load all snippets from IndexedDB
+    async loadSnippets() {
         try {
-            const stored = localStorage.getItem(this.STORAGE_KEY);
-            return stored ? JSON.parse(stored) : [];
+            await this.init();
+
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction([SNIPPET_STORE_NAME], 'readonly');
+                const store = transaction.objectStore(SNIPPET_STORE_NAME);
+                const request = store.getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         } catch (error) {
-            console.error('Failed to load snippets from localStorage:', error);
+            console.error('Failed to load snippets from IndexedDB:', error);
             return [];
         }
     },
 
     // Get single snippet by ID
-    getSnippet(id) {
-        const snippets = this.loadSnippets();
-        return snippets.find(snippet => snippet.id === id);
+    async getSnippet(id) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([SNIPPET_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(SNIPPET_STORE_NAME);
+            const request = store.get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     },
 
     // Save single snippet (add or update)
-    saveSnippet(snippet) {
-        const snippets = this.loadSnippets();
-        const existingIndex = snippets.findIndex(s => s.id === snippet.id);
-
+    async saveSnippet(snippet) {
         snippet.modified = new Date().toISOString();
-
-        if (existingIndex >= 0) {
-            snippets[existingIndex] = snippet;
-        } else {
-            snippets.push(snippet);
-        }
-
-        return this.saveSnippets(snippets);
+        return this.saveSnippets([snippet]);
     },
 
     // Delete snippet by ID
-    deleteSnippet(id) {
-        const snippets = this.loadSnippets();
-        const filteredSnippets = snippets.filter(snippet => snippet.id !== id);
-        return this.saveSnippets(filteredSnippets);
+    async deleteSnippet(id) {
+        try {
+            await this.init();
+
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([SNIPPET_STORE_NAME], 'readwrite');
+                const store = transaction.objectStore(SNIPPET_STORE_NAME);
+                const request = store.delete(id);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+
+            updateStorageMonitor();
+            broadcastStorageChange('snippets', [id]);
+            return true;
+        } catch (error) {
+            console.error('Failed to delete snippet from IndexedDB:', error);
+            Toast.error('Failed to delete snippet');
+            return false;
+        }
     },
 
     // Get all snippets with sorting and filtering
-    listSnippets(sortBy = null, sortOrder = null, searchQuery = null) {
-        let snippets = this.loadSnippets();
+    async listSnippets(sortBy = null, sortOrder = null, searchQuery = null) {
+        let snippets = await this.loadSnippets();
 
         // Apply search filter if provided
         if (searchQuery && searchQuery.trim()) {
             snippets = this.filterSnippets(snippets, searchQuery.trim());
         }
 
-        // Use provided sort options or fall back to settings
+        return this.sortSnippets(snippets, sortBy, sortOrder);
+    },
+
+    // Sort snippets in place (falls back to saved sort settings)
+    sortSnippets(snippets, sortBy = null, sortOrder = null) {
         const actualSortBy = sortBy || AppSettings.get('sortBy') || 'modified';
         const actualSortOrder = sortOrder || AppSettings.get('sortOrder') || 'desc';
 
@@ -341,9 +728,9 @@ const SnippetStorage = {
                     comparison = new Date(a.created) - new Date(b.created);
                     break;
                 case 'size':
-                    // Calculate size for both snippets
-                    const sizeA = new Blob([JSON.stringify(a)]).size;
-                    const sizeB = new Blob([JSON.stringify(b)]).size;
+                    // Calculate size for both snippets (thumbnails are derived, so not counted)
+                    const sizeA = new Blob([JSON.stringify(withoutThumbnail(a))]).size;
+                    const sizeB = new Blob([JSON.stringify(withoutThumbnail(b))]).size;
                     comparison = sizeA - sizeB;
                     break;
                 case 'modified':
@@ -356,39 +743,49 @@ const SnippetStorage = {
         });
     },
 
-    // Filter snippets based on search query
+    // Filter snippets based on search query (see snippet-search.js for the query language)
     filterSnippets(snippets, query) {
-        const searchTerm = query.toLowerCase();
+        const terms = parseSearchQuery(query);
+        if (terms.length === 0) return snippets;
 
-        return snippets.filter(snippet => {
-            // Search in name
-            if (snippet.name.toLowerCase().includes(searchTerm)) {
-                return true;
-            }
+        return snippets.filter(snippet => matchSnippetQuery(snippet, terms) !== null);
+    },
 
-            // Search in comment
-            if (snippet.comment && snippet.comment.toLowerCase().includes(searchTerm)) {
-                return true;
-            }
+    // One-time migration of snippets saved by older versions in localStorage
+    // The legacy key is only removed once every snippet has been written to IndexedDB
+    async migrateFromLocalStorage() {
+        let legacySnippets;
+        try {
+            const stored = localStorage.getItem(this.LEGACY_STORAGE_KEY);
+            if (!stored) return 0;
+            legacySnippets = JSON.parse(stored);
+        } catch (error) {
+            console.error('Failed to read legacy snippets from localStorage:', error);
+            return 0;
+        }
 
-            // Search in spec content (JSON stringified)
-            try {
-                const specText = JSON.stringify(snippet.draftSpec || snippet.spec).toLowerCase();
-                if (specText.includes(searchTerm)) {
-                    return true;
-                }
-            } catch (error) {
-                // Ignore JSON stringify errors
-            }
+        if (!Array.isArray(legacySnippets) || legacySnippets.length === 0) {
+            localStorage.removeItem(this.LEGACY_STORAGE_KEY);
+            return 0;
+        }
 
-            return false;
-        });
+        if (!(await this.saveSnippets(legacySnippets))) {
+            Toast.error('Could not migrate snippets to the new storage. They remain in localStorage and will be retried on next load.');
+            return 0;
+        }
+
+        localStorage.removeItem(this.LEGACY_STORAGE_KEY);
+        Toast.info(`Migrated ${legacySnippets.length} snippet${legacySnippets.length !== 1 ? 's' : ''} to the new storage`);
+        return legacySnippets.length;
     }
 };
 
 // Initialize storage with sample data from JSON file if empty
 async function initializeSnippetsStorage() {
-    const existingSnippets = SnippetStorage.loadSnippets();
+    // Move snippets from older localStorage-based versions before checking for an empty store
+    await SnippetStorage.migrateFromLocalStorage();
+
+    const existingSnippets = await SnippetStorage.loadSnippets();
 
     if (existingSnippets.length === 0) {
         // Try loading sample data from JSON file
@@ -410,7 +807,7 @@ async function initializeSnippetsStorage() {
         const defaultSnippet = createSnippet(sampleSpec, "Sample Bar Chart");
         defaultSnippet.comment = "A simple bar chart showing category values";
 
-        SnippetStorage.saveSnippet(defaultSnippet);
+        await SnippetStorage.saveSnippet(defaultSnippet);
         return [defaultSnippet];
     }
 
@@ -428,17 +825,25 @@ function formatFullDate(isoString) {
 }
 
 // Render snippet list in the UI
-// With Alpine.js, the list is reactive - no manual rendering needed
-// This function kept as no-op for backwards compatibility
-function renderSnippetList(searchQuery = null) {
-    // Alpine.js handles rendering automatically via reactive bindings
+// Alpine.js renders reactively; this reloads the component's snippets from IndexedDB
+async function renderSnippetList() {
+    const snippetPanel = document.getElementById('snippet-panel');
+    if (snippetPanel && snippetPanel._x_dataStack) {
+        const alpineData = snippetPanel._x_dataStack[0];
+        if (alpineData && typeof alpineData.loadSnippets === 'function') {
+            await alpineData.loadSnippets();
+        }
+    }
+
+    // Tiles of the open dashboard follow the library
+    refreshOpenDashboard();
 }
 
 // NOTE: Sort and search controls are now handled by Alpine.js via directives
 // No initialization needed - Alpine components are automatically initialized
 
 // Helper: Get currently selected snippet
-function getCurrentSnippet() {
+async function getCurrentSnippet() {
     return Alpine.store('snippets').currentSnippetId ? SnippetStorage.getSnippet(Alpine.store('snippets').currentSnippetId) : null;
 }
 
@@ -457,6 +862,7 @@ function restoreSnippetSelection() {
 // Clear current selection and hide meta panel
 function clearSelection() {
     Alpine.store('snippets').currentSnippetId = null;
+    loadTemplateVariables(null);
     document.querySelectorAll('.snippet-item').forEach(item => {
         item.classList.remove('selected');
     });
@@ -479,15 +885,21 @@ function clearSelection() {
 }
 
 // Select and load a snippet into the editor
-function selectSnippet(snippetId, updateURL = true) {
-    const snippet = SnippetStorage.getSnippet(snippetId);
+async function selectSnippet(snippetId, updateURL = true) {
+    const snippet = await SnippetStorage.getSnippet(snippetId);
     if (!snippet) return;
 
+    // The preview panel goes back from a dashboard to the snippet
+    closeDashboard(false);
+
     // Update Alpine store selection for UI highlighting
     if (typeof Alpine !== 'undefined' && Alpine.store('snippets')) {
         Alpine.store('snippets').currentSnippetId = snippetId;
     }
 
+    // Variables first - loading the editor renders the spec right away
+    loadTemplateVariables(snippet);
+
     // Load spec based on current view mode
     loadSnippetIntoEditor(snippet);
     updateViewModeUI(snippet);
@@ -530,7 +942,7 @@ function selectSnippet(snippetId, updateURL = true) {
     updateLinkedDatasets(snippet);
 
     // Update Extract to Dataset button visibility
-    updateExtractButton();
+    await updateExtractButton();
 
     // Update URL state (URLState.update will add 'snippet-' prefix)
     if (updateURL) {
@@ -588,45 +1000,54 @@ let autoSaveTimeout;
 window.isUpdatingEditor = false; // Global flag to prevent auto-save/debounce during programmatic updates
 
 // Save current editor content as draft for the selected snippet
-function autoSaveDraft() {
+async function autoSaveDraft() {
     if (!Alpine.store('snippets').currentSnippetId || !editor) return;
 
     // Only save to draft if we're in draft mode
     if (Alpine.store('snippets').viewMode !== 'draft') return;
 
+    let currentSpec;
     try {
-        const currentSpec = JSON.parse(editor.getValue());
-        const snippet = getCurrentSnippet();
+        currentSpec = JSON.parse(editor.getValue());
+    } catch (error) {
+        // Ignore JSON parse errors during editing
+        return;
+    }
 
-        if (snippet) {
-            snippet.draftSpec = currentSpec;
+    const snippet = await getCurrentSnippet();
 
-            // Extract and update dataset references
-            snippet.datasetRefs = extractDatasetRefs(currentSpec);
+    if (snippet) {
+        // Another tab changed this draft since it was loaded here - ask instead of overwriting
+        if (hasPendingSyncConflict(snippet.id) || hasRemoteDraftChange(snippet)) {
+            showSyncConflict(snippet.id);
+            return;
+        }
 
-            SnippetStorage.saveSnippet(snippet);
+        snippet.draftSpec = currentSpec;
 
-            // Refresh snippet list to update status light and dataset indicator
-            renderSnippetList();
-            // Restore selection
-            restoreSnippetSelection();
+        // Extract and update dataset references
+        snippet.datasetRefs = extractDatasetRefs(currentSpec);
 
-            // Update button states
-            updateViewModeUI(snippet);
-        }
-    } catch (error) {
-        // Ignore JSON parse errors during editing
+        await SnippetStorage.saveSnippet(snippet);
+
+        // Refresh snippet list to update status light and dataset indicator
+        await renderSnippetList();
+        // Restore selection
+        restoreSnippetSelection();
+
+        // Update button states
+        updateViewModeUI(snippet);
     }
 }
 
 // Debounced auto-save (triggered on editor changes)
-function debouncedAutoSave() {
+async function debouncedAutoSave() {
     // Don't auto-save if we're programmatically updating the editor
     if (window.isUpdatingEditor) return;
 
     // If viewing published and no draft exists, create draft automatically
     if (Alpine.store('snippets').viewMode === 'published') {
-        const snippet = getCurrentSnippet();
+        const snippet = await getCurrentSnippet();
         if (snippet) {
             const hasDraft = JSON.stringify(snippet.spec) !== JSON.stringify(snippet.draftSpec);
             if (!hasDraft) {
@@ -670,7 +1091,7 @@ function initializeAutoSave() {
 // CRUD Operations
 
 // Create new snippet
-function createNewSnippet() {
+async function createNewSnippet() {
     const emptySpec = {
         "$schema": "https://vega.github.io/schema/vega-lite/v5.json",
         "data": {"values": []},
@@ -679,11 +1100,11 @@ function createNewSnippet() {
     };
 
     const newSnippet = createSnippet(emptySpec);
-    SnippetStorage.saveSnippet(newSnippet);
+    await SnippetStorage.saveSnippet(newSnippet);
 
     // Refresh the list and select the new snippet
-    renderSnippetList();
-    selectSnippet(newSnippet.id);
+    await renderSnippetList();
+    await selectSnippet(newSnippet.id);
 
     // Track event
     Analytics.track('snippet-create', 'Create new snippet');
@@ -691,24 +1112,32 @@ function createNewSnippet() {
     return newSnippet;
 }
 
-// Duplicate existing snippet
-function duplicateSnippet(snippetId) {
-    const originalSnippet = SnippetStorage.getSnippet(snippetId);
-    if (!originalSnippet) return;
-
+// Build an unsaved copy of a snippet (draft becomes the copy's spec, history starts fresh)
+function copySnippet(originalSnippet) {
     const duplicateSpec = JSON.parse(JSON.stringify(originalSnippet.draftSpec));
     const duplicateName = `${originalSnippet.name}_copy`;
 
     const newSnippet = createSnippet(duplicateSpec, duplicateName);
     newSnippet.comment = originalSnippet.comment;
     newSnippet.tags = [...originalSnippet.tags];
+    newSnippet.folder = originalSnippet.folder || '';
+    newSnippet.variables = normalizeTemplateVariables(originalSnippet.variables);
     newSnippet.datasetRefs = extractDatasetRefs(duplicateSpec);
 
-    SnippetStorage.saveSnippet(newSnippet);
+    return newSnippet;
+}
+
+// Duplicate existing snippet
+async function duplicateSnippet(snippetId) {
+    const originalSnippet = await SnippetStorage.getSnippet(snippetId);
+    if (!originalSnippet) return;
+
+    const newSnippet = copySnippet(originalSnippet);
+    await SnippetStorage.saveSnippet(newSnippet);
 
     // Refresh the list and select the new snippet
-    renderSnippetList();
-    selectSnippet(newSnippet.id);
+    await renderSnippetList();
+    await selectSnippet(newSnippet.id);
 
     // Show success message
     Toast.success('Snippet duplicated successfully');
@@ -720,7 +1149,7 @@ function duplicateSnippet(snippetId) {
 }
 
 // Create new snippet from dataset with minimal spec
-function createSnippetFromDataset(datasetName) {
+async function createSnippetFromDataset(datasetName) {
     const minimalSpec = {
         "$schema": "https://vega.github.io/schema/vega-lite/v5.json",
         "data": {"name": datasetName},
@@ -732,11 +1161,11 @@ function createSnippetFromDataset(datasetName) {
     newSnippet.comment = `Visualization using dataset: ${datasetName}`;
     newSnippet.datasetRefs = [datasetName];
 
-    SnippetStorage.saveSnippet(newSnippet);
+    await SnippetStorage.saveSnippet(newSnippet);
 
     // Refresh the list and select the new snippet
-    renderSnippetList();
-    selectSnippet(newSnippet.id);
+    await renderSnippetList();
+    await selectSnippet(newSnippet.id);
 
     // Track event
     Analytics.track('snippet-from-dataset', 'Create snippet from dataset');
@@ -745,8 +1174,8 @@ function createSnippetFromDataset(datasetName) {
 }
 
 // Show extract to dataset modal
-function showExtractModal() {
-    const snippet = getCurrentSnippet();
+async function showExtractModal() {
+    const snippet = await getCurrentSnippet();
     if (!snippet) return;
 
     // Get the draft spec (most recent version)
@@ -806,7 +1235,7 @@ function hideExtractModal() {
 
 // Extract to dataset - create dataset and update snippet
 async function extractToDataset() {
-    const snippet = getCurrentSnippet();
+    const snippet = await getCurrentSnippet();
     if (!snippet) return;
 
     const nameInput = document.getElementById('extract-dataset-name');
@@ -848,7 +1277,7 @@ async function extractToDataset() {
         snippet.datasetRefs = extractDatasetRefs(snippet.draftSpec);
 
         // Save snippet
-        SnippetStorage.saveSnippet(snippet);
+        await SnippetStorage.saveSnippet(snippet);
 
         // Update editor with new spec
         if (editor && Alpine.store('snippets').viewMode === 'draft') {
@@ -858,11 +1287,11 @@ async function extractToDataset() {
         }
 
         // Refresh UI
-        renderSnippetList();
+        await renderSnippetList();
         restoreSnippetSelection();
         updateLinkedDatasets(snippet);
         updateViewModeUI(snippet);
-        updateExtractButton();
+        await updateExtractButton();
 
         // Close modal
         hideExtractModal();
@@ -878,11 +1307,11 @@ async function extractToDataset() {
 }
 
 // Update visibility of Extract to Dataset button
-function updateExtractButton() {
+async function updateExtractButton() {
     const extractBtn = document.getElementById('extract-btn');
     if (!extractBtn) return;
 
-    const snippet = getCurrentSnippet();
+    const snippet = await getCurrentSnippet();
     if (!snippet) {
         extractBtn.style.display = 'none';
         return;
@@ -894,27 +1323,34 @@ function updateExtractButton() {
 }
 
 // Delete snippet with confirmation
-function deleteSnippet(snippetId) {
-    const snippet = SnippetStorage.getSnippet(snippetId);
+async function deleteSnippet(snippetId) {
+    const snippet = await SnippetStorage.getSnippet(snippetId);
     if (!snippet) return;
 
-    const confirmed = confirmGenericDeletion(snippet.name, null, () => {
-        SnippetStorage.deleteSnippet(snippetId);
+    const confirmed = confirm(`Move "${snippet.name}" to the trash? You can restore it from the Trash view for ${getTrashRetentionDays()} days.`);
+    if (confirmed) {
+        try {
+            await TrashStorage.moveToTrash('snippet', snippet);
+        } catch (error) {
+            Toast.error(`Failed to delete snippet: ${error.message}`);
+            return false;
+        }
 
         // If we deleted the currently selected snippet, clear selection
         if (Alpine.store('snippets').currentSnippetId === snippetId) {
             clearSelection();
         }
 
-        // Refresh the list
-        renderSnippetList();
+        // Refresh the list and trash view
+        await renderSnippetList();
+        refreshTrashView();
 
         // Show success message
-        Toast.success('Snippet deleted');
+        Toast.success('Snippet moved to trash');
 
         // Track event
         trackEventIfAvailable('snippet-delete', 'Delete snippet');
-    });
+    }
 
     return confirmed;
 }
@@ -923,6 +1359,10 @@ function deleteSnippet(snippetId) {
 function loadSnippetIntoEditor(snippet) {
     if (!editor) return;
 
+    // The editor now matches storage, so edits start from this draft (see tab-sync.js)
+    recordSyncBase(snippet);
+    clearSyncConflict();
+
     window.isUpdatingEditor = true;
 
     const hasDraft = JSON.stringify(snippet.spec) !== JSON.stringify(snippet.draftSpec);
@@ -962,50 +1402,66 @@ function updateViewModeUI(snippet) {
 }
 
 // Switch view mode
-function switchViewMode(mode) {
+async function switchViewMode(mode) {
     Alpine.store('snippets').viewMode = mode;
-    const snippet = getCurrentSnippet();
+    const snippet = await getCurrentSnippet();
     if (snippet) {
         loadSnippetIntoEditor(snippet);
         updateViewModeUI(snippet);
     }
 }
 
-// Publish draft to spec
-function publishDraft() {
-    const snippet = getCurrentSnippet();
+// Publish draft to spec (the keyboard shortcut publishes without a message)
+async function publishDraft(message = '') {
+    const snippet = await getCurrentSnippet();
     if (!snippet) return;
 
+    ensureVersionHistory(snippet);
+
     // Copy draftSpec to spec
     snippet.spec = JSON.parse(JSON.stringify(snippet.draftSpec));
 
+    // Record the new published spec as an immutable version
+    const version = createVersionRecord(snippet, message);
+    snippet.versions = [...snippet.versions, version];
+
     // Update dataset references for published spec
     snippet.datasetRefs = extractDatasetRefs(snippet.spec);
 
-    SnippetStorage.saveSnippet(snippet);
+    await SnippetStorage.saveSnippet(snippet);
+    queueSnippetThumbnails([snippet]);
 
     // Refresh UI
-    renderSnippetList();
+    await renderSnippetList();
     restoreSnippetSelection();
+    await renderSnippetHistory();
 
     updateViewModeUI(snippet);
 
     // Show success message
-    Toast.success('Snippet published successfully!');
+    Toast.success(`Published version ${version.version}`);
 
     // Track event
     Analytics.track('snippet-publish', 'Publish draft');
 }
 
+// Publish button: ask for an optional publish message first (Cancel aborts the publish)
+async function publishDraftWithMessage() {
+    const message = prompt('Publish message (optional):', '');
+    if (message === null) return;
+
+    await publishDraft(message);
+}
+
 // Revert draft to published spec
-function revertDraft() {
-    const snippet = getCurrentSnippet();
+async function revertDraft() {
+    const snippet = await getCurrentSnippet();
     if (!snippet) return;
 
     if (confirm('Revert all draft changes to last published version? This cannot be undone.')) {
         // Copy spec to draftSpec
         snippet.draftSpec = JSON.parse(JSON.stringify(snippet.spec));
-        SnippetStorage.saveSnippet(snippet);
+        await SnippetStorage.saveSnippet(snippet);
 
         // Reload editor if in draft view
         if (Alpine.store('snippets').viewMode === 'draft') {
@@ -1013,7 +1469,7 @@ function revertDraft() {
         }
 
         // Refresh UI
-        renderSnippetList();
+        await renderSnippetList();
         restoreSnippetSelection();
 
         updateViewModeUI(snippet);
@@ -1026,25 +1482,34 @@ function revertDraft() {
     }
 }
 
-// Calculate storage usage in bytes
-function calculateStorageUsage() {
-    const snippetsData = localStorage.getItem(SnippetStorage.STORAGE_KEY);
-    if (!snippetsData) return 0;
-
-    // Calculate size in bytes
-    return new Blob([snippetsData]).size;
-}
-
 // Update storage monitor display
-function updateStorageMonitor() {
-    const usedBytes = calculateStorageUsage();
-    const percentage = (usedBytes / STORAGE_LIMIT_BYTES) * 100;
-
+// IndexedDB has no fixed limit, so usage is reported against the browser's quota for this origin
+async function updateStorageMonitor() {
     const storageText = document.getElementById('storage-text');
     const storageFill = document.getElementById('storage-fill');
 
+    if (!navigator.storage || !navigator.storage.estimate) {
+        if (storageText) storageText.textContent = 'Usage unavailable';
+        return;
+    }
+
+    let usedBytes = 0;
+    let quotaBytes = 0;
+    try {
+        const estimate = await navigator.storage.estimate();
+        usedBytes = estimate.usage || 0;
+        quotaBytes = estimate.quota || 0;
+    } catch (error) {
+        console.warn('Failed to estimate storage usage:', error);
+        return;
+    }
+
+    const percentage = quotaBytes > 0 ? (usedBytes / quotaBytes) * 100 : 0;
+
     if (storageText) {
-        storageText.textContent = `${formatBytes(usedBytes)} / 5 MB`;
+        storageText.textContent = quotaBytes > 0
+            ? `${formatBytes(usedBytes)} / ${formatBytes(quotaBytes)}`
+            : formatBytes(usedBytes);
     }
 
     if (storageFill) {
@@ -1062,51 +1527,55 @@ function updateStorageMonitor() {
     }
 }
 
-// Export all snippets and datasets to JSON file
-async function exportSnippets() {
-    const snippets = SnippetStorage.loadSnippets();
-
-    if (snippets.length === 0) {
-        Toast.info('No snippets to export');
-        return;
-    }
-
-    // Get ALL datasets for complete backup
-    const datasets = await DatasetStorage.listDatasets();
-
-    // Create unified export format
-    const exportData = {
+// Build the unified project export format
+function buildProjectExport(snippets, datasets) {
+    return {
         version: "1.0",
         exportedAt: new Date().toISOString(),
         exportedBy: "Astrolabe",
-        snippets: snippets,
+        snippets: snippets.map(withoutThumbnail),
         datasets: datasets
     };
+}
 
-    // Create JSON blob
-    const jsonString = JSON.stringify(exportData, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
-
-    // Create download link
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `astrolabe-project-${new Date().toISOString().slice(0, 10)}.json`;
+// Download snippets and datasets as the unified JSON export or a project ZIP (see project-zip.js)
+function downloadProjectExport(snippets, datasets, filenameLabel = 'project', fileFormat = 'json') {
+    const safeLabel = filenameLabel.replace(/[^a-zA-Z0-9_-]/g, '_');
+    const filename = `astrolabe-${safeLabel}-${new Date().toISOString().slice(0, 10)}`;
 
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    if (fileFormat === 'zip') {
+        downloadFile(createZipArchive(buildProjectZipFiles(snippets, datasets)), `${filename}.zip`, 'application/zip');
+    } else {
+        downloadFile(
+            JSON.stringify(buildProjectExport(snippets, datasets), null, 2),
+            `${filename}.json`,
+            'application/json'
+        );
+    }
 
     // Show success message
     const count = datasets.length > 0
         ? `${snippets.length} snippet${snippets.length !== 1 ? 's' : ''} and ${datasets.length} dataset${datasets.length !== 1 ? 's' : ''}`
         : `${snippets.length} snippet${snippets.length !== 1 ? 's' : ''}`;
     Toast.success(`Exported ${count}`);
+}
 
-    // Track event
-    Analytics.track('project-export', `Export ${snippets.length} snippets, ${datasets.length} datasets`);
+// Names of all datasets referenced by the published spec or draft of the given snippets
+function collectReferencedDatasetNames(snippets) {
+    const datasetNames = new Set();
+    snippets.forEach(snippet => {
+        extractDatasetRefs(snippet.spec).forEach(name => datasetNames.add(name));
+        extractDatasetRefs(snippet.draftSpec).forEach(name => datasetNames.add(name));
+    });
+    return datasetNames;
+}
+
+// Export a subset of snippets with only the datasets they reference
+async function exportSnippetCollection(snippets, filenameLabel) {
+    const datasetNames = collectReferencedDatasetNames(snippets);
+    const datasets = (await DatasetStorage.listDatasets()).filter(dataset => datasetNames.has(dataset.name));
+
+    downloadProjectExport(snippets, datasets, filenameLabel);
 }
 
 // Normalize external snippet format to Astrolabe format
@@ -1126,8 +1595,12 @@ function normalizeSnippet(externalSnippet) {
             spec: externalSnippet.spec || {},
             draftSpec: externalSnippet.draftSpec || externalSnippet.spec || {},
             comment: externalSnippet.comment || "",
-            tags: externalSnippet.tags || [],
+            tags: normalizeTags(externalSnippet.tags),
             datasetRefs: externalSnippet.datasetRefs || [],
+            // Left undefined for pre-history snippets so their published spec becomes version 1
+            versions: externalSnippet.versions,
+            folder: normalizeFolderPath(externalSnippet.folder),
+            variables: normalizeTemplateVariables(externalSnippet.variables),
             meta: externalSnippet.meta || {}
         };
     }
@@ -1145,53 +1618,21 @@ function normalizeSnippet(externalSnippet) {
         spec: externalSnippet.content || externalSnippet.spec || {},
         draftSpec: externalSnippet.draft || externalSnippet.draftSpec || externalSnippet.content || externalSnippet.spec || {},
         comment: externalSnippet.comment || "",
-        tags: ["imported"], // Add 'imported' tag
+        tags: normalizeTags(["imported", ...(externalSnippet.tags || [])]), // Add 'imported' tag
         datasetRefs: [],
+        versions: [],
+        folder: normalizeFolderPath(externalSnippet.folder),
+        variables: [],
         meta: {}
     };
 }
 
-// Calculate size of data in bytes
-function calculateDataSize(data) {
-    return new Blob([JSON.stringify(data)]).size;
-}
-
-// Estimate if import would fit in storage (before attempting to save)
-function estimateImportFit(existingSnippets, newSnippets) {
-    const currentSize = calculateDataSize(existingSnippets);
-    const newDataSize = calculateDataSize(newSnippets);
-    const totalSize = currentSize + newDataSize;
-    const available = STORAGE_LIMIT_BYTES - currentSize;
-
-    return {
-        currentSize: currentSize,
-        newDataSize: newDataSize,
-        totalSize: totalSize,
-        available: available,
-        willFit: totalSize <= STORAGE_LIMIT_BYTES,
-        overageBytes: Math.max(0, totalSize - STORAGE_LIMIT_BYTES)
-    };
-}
-
-// Core logic to process imported data (shared between file import and initial sample data)
+// Additive import without preview (used for the initial sample data)
 async function processImportedData(importedData, options = {}) {
     const { silent = false } = options;
 
-    // Detect format: legacy (array) or unified (object with version)
-    let snippetsToImport = [];
-    let datasetsToImport = [];
-
-    if (Array.isArray(importedData)) {
-        // Legacy format: array of snippets only
-        snippetsToImport = importedData;
-    } else if (importedData.version && importedData.snippets) {
-        // New unified format
-        snippetsToImport = importedData.snippets || [];
-        datasetsToImport = importedData.datasets || [];
-    } else {
-        // Single snippet object
-        snippetsToImport = [importedData];
-    }
+    // Detect format: legacy (array), unified (object with version) or a single snippet
+    const { snippets: snippetsToImport, datasets: datasetsToImport } = splitImportedData(importedData);
 
     if (snippetsToImport.length === 0) {
         if (!silent) Toast.info('No snippets found in file');
@@ -1236,7 +1677,7 @@ async function processImportedData(importedData, options = {}) {
     }
 
     // Import snippets (existing normalization logic)
-    const existingSnippets = SnippetStorage.loadSnippets();
+    const existingSnippets = await SnippetStorage.loadSnippets();
     const existingIds = new Set(existingSnippets.map(s => s.id));
 
     let snippetsImported = 0;
@@ -1255,20 +1696,8 @@ async function processImportedData(importedData, options = {}) {
         snippetsImported++;
     });
 
-    // Estimate storage fit
-    const fit = estimateImportFit(existingSnippets, normalizedSnippets);
-
-    if (!fit.willFit && !silent) {
-        Toast.warning(
-            `⚠️ Import is ${formatBytes(fit.overageBytes)} over the 5 MB limit. Attempting to load...`,
-            5000
-        );
-    }
-
-    // Save snippets
-    const allSnippets = existingSnippets.concat(normalizedSnippets);
-
-    if (SnippetStorage.saveSnippets(allSnippets)) {
+    // Save snippets (only the new ones - existing records are untouched)
+    if (await SnippetStorage.saveSnippets(normalizedSnippets)) {
         if (!silent) {
             let message = `Imported ${snippetsImported} snippet${snippetsImported !== 1 ? 's' : ''}`;
             if (datasetsImported > 0) {
@@ -1290,41 +1719,52 @@ async function processImportedData(importedData, options = {}) {
             Analytics.track('project-import', `Import ${snippetsImported} snippets, ${datasetsImported} datasets`);
         }
 
-        renderSnippetList();
+        await renderSnippetList();
         updateStorageMonitor();
 
         return { success: true, snippetsImported, datasetsImported, normalizedSnippets };
     } else {
-        const overageBytes = fit.overageBytes > 0 ? fit.overageBytes : calculateDataSize(allSnippets) - STORAGE_LIMIT_BYTES;
-        if (!silent) {
-            Toast.error(
-                `Storage quota exceeded by ${formatBytes(overageBytes)}. Please delete some snippets and try again.`,
-                6000
-            );
-        }
+        // saveSnippets() has already reported the storage error
         return { success: false };
     }
 }
 
-// Import snippets and datasets from JSON file
+// Import snippets and datasets from a JSON file or project ZIP, or the charts of a notebook or HTML
+// file (the import preview decides what gets written)
 function importSnippets(fileInput) {
     const file = fileInput.files[0];
     if (!file) return;
 
+    const isZip = file.name.toLowerCase().endsWith('.zip');
+
     const reader = new FileReader();
     reader.onload = async function(e) {
         try {
-            const importedData = JSON.parse(e.target.result);
-            await processImportedData(importedData);
+            if (isChartImportFile(file.name)) {
+                importChartsFromFile(e.target.result, file.name);
+            } else {
+                const importedData = isZip ? await readProjectZip(e.target.result) : JSON.parse(e.target.result);
+                openImportPreview(importedData, file.name);
+            }
         } catch (error) {
             console.error('Import error:', error);
-            Toast.error('Failed to import. Please check that the file is valid JSON.');
+            if (isZip) {
+                Toast.error(`Failed to import project archive: ${error.message}`);
+            } else if (isChartImportFile(file.name)) {
+                Toast.error(`Failed to read charts from ${file.name}: ${error.message}`);
+            } else {
+                Toast.error('Failed to import. Please check that the file is valid JSON.');
+            }
         }
 
         // Clear file input
         fileInput.value = '';
     };
 
-    reader.readAsText(file);
+    if (isZip) {
+        reader.readAsArrayBuffer(file);
+    } else {
+        reader.readAsText(file);
+    }
 }
 
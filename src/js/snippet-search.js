@@ -0,0 +1,194 @@
+// Snippet search query language
+// Free text and "quoted phrases" match name, comment and spec text
+// Qualifiers: mark:, dataset:, tag:, folder:, field:, has:, modified:, created:
+// Any term can be negated with a leading "-" (e.g. -mark:bar)
+
+// Qualifiers understood by the parser; other "key:value" tokens are treated as free text
+const SEARCH_QUALIFIERS = ['mark', 'dataset', 'tag', 'folder', 'field', 'has', 'modified', 'created'];
+
+// Parse a query string into terms: { key, value, negated, operator }
+function parseSearchQuery(query) {
+    const terms = [];
+    if (!query || !query.trim()) return terms;
+
+    // -?key:"quoted value" | -?key:value | -?"quoted phrase" | -?word
+    const tokenPattern = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+
+    while ((match = tokenPattern.exec(query)) !== null) {
+        const [raw, negation, rawKey, quotedValue, plainValue] = match;
+        if (!raw.trim()) continue;
+
+        let key = rawKey ? rawKey.toLowerCase() : null;
+        let value = quotedValue !== undefined ? quotedValue : plainValue;
+
+        // Unknown qualifiers are searched as plain text, e.g. "http://..."
+        if (key && !SEARCH_QUALIFIERS.includes(key)) {
+            value = `${rawKey}:${value}`;
+            key = null;
+        }
+
+        if (value === undefined || value === '') continue;
+
+        // Date qualifiers support comparison operators: >, >=, <, <=, =
+        let operator = null;
+        if (key === 'modified' || key === 'created') {
+            const operatorMatch = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+            operator = operatorMatch[1] || '=';
+            value = operatorMatch[2];
+        }
+
+        terms.push({ key, value: value.toLowerCase(), negated: negation === '-', operator });
+    }
+
+    return terms;
+}
+
+// Collect all mark types used in a spec (including layers and concatenations)
+function collectSpecMarks(spec) {
+    const marks = new Set();
+    forEachSpecView(spec, (s) => {
+        if (typeof s.mark === 'string') {
+            marks.add(s.mark.toLowerCase());
+        } else if (s.mark && typeof s.mark.type === 'string') {
+            marks.add(s.mark.type.toLowerCase());
+        }
+    });
+    return marks;
+}
+
+// Collect all encoding fields used in a spec (including tooltip arrays)
+function collectSpecFields(spec) {
+    const fields = new Set();
+    forEachSpecView(spec, (s) => {
+        if (s.encoding && typeof s.encoding === 'object') {
+            Object.values(s.encoding).forEach(channel => {
+                const channelDefs = Array.isArray(channel) ? channel : [channel];
+                channelDefs.forEach(def => {
+                    if (def && typeof def.field === 'string') {
+                        fields.add(def.field.toLowerCase());
+                    }
+                });
+            });
+        }
+    });
+    return fields;
+}
+
+// Compare a snippet timestamp against a query date (day precision)
+function matchesDateTerm(isoString, operator, value) {
+    const queryDate = new Date(value);
+    if (!isoString || isNaN(queryDate.getTime())) return false;
+
+    const day = isoString.slice(0, 10);
+    const queryDay = queryDate.toISOString().slice(0, 10);
+
+    switch (operator) {
+        case '>': return day > queryDay;
+        case '>=': return day >= queryDay;
+        case '<': return day < queryDay;
+        case '<=': return day <= queryDay;
+        default: return day === queryDay;
+    }
+}
+
+// Evaluate a single term against a snippet
+// Returns the list of places it matched (empty array = no match)
+function matchSearchTerm(snippet, term, context) {
+    const { key, value } = term;
+
+    switch (key) {
+        case 'mark':
+            return context.marks().has(value) ? [`mark:${value}`] : [];
+        case 'field':
+            return context.fields().has(value) ? [`field:${value}`] : [];
+        case 'dataset':
+            return (snippet.datasetRefs || []).some(name => name.toLowerCase() === value) ? [`dataset:${value}`] : [];
+        case 'tag':
+            return (snippet.tags || []).includes(value) ? [`tag:${value}`] : [];
+        case 'folder': {
+            const folder = (snippet.folder || '').toLowerCase();
+            return folder && isInFolder(folder, value) ? [`folder:${value}`] : [];
+        }
+        case 'has': {
+            const checks = {
+                draft: () => JSON.stringify(snippet.spec) !== JSON.stringify(snippet.draftSpec),
+                dataset: () => (snippet.datasetRefs || []).length > 0,
+                inline: () => context.hasInlineData(),
+                tags: () => (snippet.tags || []).length > 0,
+                history: () => getSnippetVersions(snippet).length > 0
+            };
+            return checks[value] && checks[value]() ? [`has:${value}`] : [];
+        }
+        case 'modified':
+        case 'created':
+            return matchesDateTerm(snippet[key], term.operator, value) ? [`${key}:${term.operator}${value}`] : [];
+        default: {
+            // Free text / quoted phrase
+            const places = [];
+            if (snippet.name.toLowerCase().includes(value)) places.push('name');
+            if (snippet.comment && snippet.comment.toLowerCase().includes(value)) places.push('comment');
+            if (context.specText().includes(value)) places.push('spec');
+            return places;
+        }
+    }
+}
+
+// Match a snippet against parsed terms (all terms must match)
+// Returns { places } describing where positive terms matched, or null if the snippet doesn't match
+function matchSnippetQuery(snippet, terms) {
+    const spec = snippet.draftSpec || snippet.spec;
+
+    // Lazily computed spec facts shared by all terms
+    let marks, fields, specText;
+    const context = {
+        spec,
+        marks: () => marks || (marks = collectSpecMarks(spec)),
+        fields: () => fields || (fields = collectSpecFields(spec)),
+        hasInlineData: () => {
+            let found = false;
+            forEachSpecView(spec, (s) => {
+                if (s.data && (Array.isArray(s.data.values) || typeof s.data.values === 'string')) found = true;
+            });
+            return found;
+        },
+        specText: () => {
+            if (specText === undefined) {
+                try {
+                    specText = JSON.stringify(spec).toLowerCase();
+                } catch (error) {
+                    specText = '';
+                }
+            }
+            return specText;
+        }
+    };
+
+    const places = new Set();
+    for (const term of terms) {
+        const termPlaces = matchSearchTerm(snippet, term, context);
+        const matched = termPlaces.length > 0;
+
+        if (matched === term.negated) return null;
+        if (!term.negated) termPlaces.forEach(place => places.add(place));
+    }
+
+    return { places: [...places] };
+}
+
+// Wrap free-text matches in <mark> (text is HTML-escaped)
+function highlightSearchText(text, terms) {
+    const words = terms
+        .filter(term => !term.key && !term.negated)
+        .map(term => term.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    if (words.length === 0) return escapeHTML(text);
+
+    const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+    return String(text)
+        .split(pattern)
+        .map((part, index) => index % 2 === 1
+            ? `<mark class="search-highlight">${escapeHTML(part)}</mark>`
+            : escapeHTML(part))
+        .join('');
+}
@@ -0,0 +1,147 @@
+// Snippet tags - normalization, library-wide rename/merge/delete and tag manager UI
+
+// Alpine.js component for the tag manager modal
+function tagManager() {
+    return {
+        tags: [], // [{ name, count }]
+
+        async init() {
+            await this.loadTags();
+
+            // Listen for refresh events dispatched by openTagManager()
+            this.$el.addEventListener('tag-manager-refresh', async () => {
+                await this.loadTags();
+            });
+        },
+
+        async loadTags() {
+            this.tags = collectTagCounts(await SnippetStorage.loadSnippets());
+        },
+
+        async rename(tag) {
+            await renameTagInLibrary(tag);
+            await this.loadTags();
+        },
+
+        async remove(tag) {
+            await deleteTagFromLibrary(tag);
+            await this.loadTags();
+        },
+
+        present(tag) {
+            presentTag(tag);
+        }
+    };
+}
+
+// Normalize a single tag: trimmed, lowercase, whitespace replaced with dashes
+function normalizeTag(tag) {
+    if (typeof tag !== 'string') return '';
+    return tag.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// Normalize a tag list: drops empty values and duplicates, keeps order
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+// Count how many snippets use each tag, sorted by tag name
+function collectTagCounts(snippets) {
+    const counts = {};
+    snippets.forEach(snippet => {
+        (snippet.tags || []).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+
+    return Object.keys(counts)
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => ({ name, count: counts[name] }));
+}
+
+// Replace a tag across every snippet that uses it (newTag = null removes it)
+// Returns the number of snippets updated
+async function replaceTagInLibrary(oldTag, newTag) {
+    const snippets = await SnippetStorage.loadSnippets();
+    const affectedSnippets = snippets.filter(snippet => (snippet.tags || []).includes(oldTag));
+    if (affectedSnippets.length === 0) return 0;
+
+    affectedSnippets.forEach(snippet => {
+        const tags = newTag
+            ? snippet.tags.map(tag => tag === oldTag ? newTag : tag)
+            : snippet.tags.filter(tag => tag !== oldTag);
+        snippet.tags = normalizeTags(tags);
+    });
+
+    if (!(await SnippetStorage.saveSnippets(affectedSnippets))) return 0;
+
+    await refreshTagViews();
+    return affectedSnippets.length;
+}
+
+// Rename a tag across the library - renaming onto an existing tag merges the two
+async function renameTagInLibrary(oldTag) {
+    const input = prompt(`Rename tag "${oldTag}" to:\n(Use an existing tag name to merge them)`, oldTag);
+    if (input === null) return;
+
+    const newTag = normalizeTag(input);
+    if (!newTag) {
+        Toast.error('Tag name cannot be empty');
+        return;
+    }
+    if (newTag === oldTag) return;
+
+    const existingTags = collectTagCounts(await SnippetStorage.loadSnippets()).map(t => t.name);
+    const isMerge = existingTags.includes(newTag);
+
+    const count = await replaceTagInLibrary(oldTag, newTag);
+    Toast.success(isMerge
+        ? `Merged "${oldTag}" into "${newTag}" (${count} snippet${count !== 1 ? 's' : ''})`
+        : `Renamed "${oldTag}" to "${newTag}" (${count} snippet${count !== 1 ? 's' : ''})`);
+
+    // Track event
+    Analytics.track(isMerge ? 'tag-merge' : 'tag-rename', isMerge ? 'Merge tags' : 'Rename tag');
+}
+
+// Remove a tag from every snippet in the library
+async function deleteTagFromLibrary(tag) {
+    const snippets = await SnippetStorage.loadSnippets();
+    const usageCount = snippets.filter(snippet => (snippet.tags || []).includes(tag)).length;
+    const warningMessage = usageCount > 0
+        ? `Tag "${tag}" is used by ${usageCount} snippet${usageCount !== 1 ? 's' : ''}. It will be removed from all of them (the snippets themselves are kept).`
+        : null;
+
+    if (!confirmGenericDeletion(tag, warningMessage)) return;
+
+    const count = await replaceTagInLibrary(tag, null);
+    Toast.success(`Removed tag "${tag}" from ${count} snippet${count !== 1 ? 's' : ''}`);
+
+    // Track event
+    Analytics.track('tag-delete', 'Delete tag');
+}
+
+// Refresh snippet list and the tag editor of the selected snippet after a library-wide change
+async function refreshTagViews() {
+    await renderSnippetList();
+    restoreSnippetSelection();
+
+    const snippet = await getCurrentSnippet();
+    const snippetPanel = document.getElementById('snippet-panel');
+    if (snippet && snippetPanel && snippetPanel._x_dataStack) {
+        const alpineData = snippetPanel._x_dataStack[0];
+        if (alpineData && typeof alpineData.loadMetadata === 'function') {
+            alpineData.loadMetadata(snippet);
+        }
+    }
+}
+
+// Open tag manager modal with a freshly loaded tag list
+function openTagManager() {
+    ModalManager.open('tag-manager-modal');
+
+    const tagManagerView = document.getElementById('tag-manager-view');
+    if (tagManagerView) {
+        tagManagerView.dispatchEvent(new CustomEvent('tag-manager-refresh'));
+    }
+}
@@ -0,0 +1,197 @@
+// Snippet thumbnails - small PNG previews of the published spec, stored on the snippet and shown
+// in the gallery view of the snippet panel. Rendering runs one snippet at a time in idle callbacks,
+// so it never competes with the editor's own render.
+
+const THUMBNAIL_WIDTH = 240;
+const THUMBNAIL_HEIGHT = 160;
+const SNIPPET_VIEW_SETTINGS_KEY = 'snippetView'; // 'list' | 'gallery'
+
+let thumbnailQueue = []; // Snippet IDs waiting for a thumbnail
+let thumbnailQueueRunning = false;
+
+// Library items thumbnails are rendered with, reloaded whenever thumbnails are queued:
+// { themes: name -> modified, fragments: name -> fragment, datasets: name -> modified }
+let thumbnailDependencies = { themes: new Map(), fragments: new Map(), datasets: new Map() };
+
+async function loadThumbnailDependencies() {
+    try {
+        const [themes, fragments, datasets] = await Promise.all([
+            ThemeStorage.listThemes(),
+            FragmentStorage.listFragments(),
+            DatasetStorage.listDatasets()
+        ]);
+        thumbnailDependencies = {
+            themes: new Map(themes.map(theme => [theme.name, theme.modified])),
+            fragments: new Map(fragments.map(fragment => [fragment.name, fragment])),
+            datasets: new Map(datasets.map(dataset => [dataset.name, dataset.modified]))
+        };
+    } catch (error) {
+        // Keep the previous stamps; thumbnails catch up the next time they are queued
+        console.error('Failed to load thumbnail dependencies:', error);
+    }
+}
+
+// [[kind, name, modified]] for the theme, fragments (also those included by fragments) and datasets a
+// spec renders with; a missing item stamps null, so creating it later changes the stamps too
+function getThumbnailDependencyStamps(spec) {
+    const { themes, fragments, datasets } = thumbnailDependencies;
+    const parts = [spec];
+    const fragmentNames = new Set();
+    const pending = findFragmentIncludes(spec);
+    while (pending.length > 0) {
+        const name = pending.pop();
+        if (fragmentNames.has(name)) continue;
+
+        fragmentNames.add(name);
+        const fragment = fragments.get(name);
+        if (fragment) {
+            parts.push(fragment.content);
+            pending.push(...findFragmentIncludes(fragment.content));
+        }
+    }
+
+    const themeNames = new Set(parts.map(getSpecThemeName).filter(Boolean));
+    const datasetNames = new Set(parts.flatMap(extractDatasetRefs));
+    return [
+        ...[...themeNames].sort().map(name => ['theme', name, themes.get(name) || null]),
+        ...[...fragmentNames].sort().map(name => ['fragment', name, fragments.has(name) ? fragments.get(name).modified : null]),
+        ...[...datasetNames].sort().map(name => ['dataset', name, datasets.get(name) || null])
+    ];
+}
+
+// Short hash of the published spec, the variable defaults and the library items it renders with,
+// so a thumbnail is regenerated once any of them changes
+function getThumbnailSpecKey(snippet) {
+    const text = JSON.stringify([snippet.spec, getSnippetVariables(snippet), getThumbnailDependencyStamps(snippet.spec)]);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// Missing, or rendered from an older published spec
+function needsThumbnail(snippet) {
+    return !snippet.thumbnail || snippet.thumbnail.specKey !== getThumbnailSpecKey(snippet);
+}
+
+// Snippet without its thumbnail (exports leave thumbnails out; they are regenerated after import)
+function withoutThumbnail(snippet) {
+    const { thumbnail, ...rest } = snippet;
+    return rest;
+}
+
+// Queue thumbnails for the snippets that need one (already queued snippets are skipped).
+// Returns the IDs of the given snippets waiting for a thumbnail.
+async function queueSnippetThumbnails(snippets) {
+    await loadThumbnailDependencies();
+
+    const queued = new Set(thumbnailQueue);
+    const pending = snippets.filter(needsThumbnail);
+    pending.forEach(snippet => {
+        if (!queued.has(snippet.id)) thumbnailQueue.push(snippet.id);
+    });
+
+    if (!thumbnailQueueRunning && thumbnailQueue.length > 0) {
+        processThumbnailQueue();
+    }
+    return pending.map(snippet => snippet.id);
+}
+
+// A theme, fragment or dataset changed: re-check the thumbnails of the gallery, if it's shown
+function refreshGalleryThumbnails() {
+    const snippetPanel = document.getElementById('snippet-panel');
+    if (snippetPanel && snippetPanel._x_dataStack) {
+        const alpineData = snippetPanel._x_dataStack[0];
+        if (alpineData.galleryView) {
+            alpineData.queueThumbnails();
+        }
+    }
+}
+
+// Resolve when the browser is idle (falls back to a short timeout where requestIdleCallback is missing)
+function waitForIdle() {
+    return new Promise(resolve => {
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(() => resolve(), { timeout: 2000 });
+        } else {
+            setTimeout(resolve, 200);
+        }
+    });
+}
+
+async function processThumbnailQueue() {
+    thumbnailQueueRunning = true;
+    try {
+        while (thumbnailQueue.length > 0) {
+            await waitForIdle();
+
+            const snippetId = thumbnailQueue[0];
+            const snippet = await SnippetStorage.getSnippet(snippetId);
+            if (snippet && needsThumbnail(snippet)) {
+                const thumbnail = await renderSnippetThumbnail(snippet);
+                await storeSnippetThumbnail(snippetId, thumbnail);
+            }
+            thumbnailQueue = thumbnailQueue.filter(id => id !== snippetId);
+        }
+    } catch (error) {
+        console.error('Failed to generate snippet thumbnails:', error);
+        thumbnailQueue = [];
+    } finally {
+        thumbnailQueueRunning = false;
+    }
+}
+
+// { specKey, image, created } - image is null when the published spec doesn't render
+async function renderSnippetThumbnail(snippet) {
+    const specKey = getThumbnailSpecKey(snippet);
+    let view;
+    try {
+        view = await createExportView(await resolveLibraryReferences(snippet.spec, getVariableDefaults(snippet)));
+        const chart = await view.toCanvas(1);
+
+        // Fit the chart into the thumbnail box, never scaling small charts up
+        const ratio = Math.min(THUMBNAIL_WIDTH / chart.width, THUMBNAIL_HEIGHT / chart.height, 1);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(chart.width * ratio));
+        canvas.height = Math.max(1, Math.round(chart.height * ratio));
+        canvas.getContext('2d').drawImage(chart, 0, 0, canvas.width, canvas.height);
+
+        return { specKey, image: canvas.toDataURL('image/png'), created: new Date().toISOString() };
+    } catch (error) {
+        return { specKey, image: null, created: new Date().toISOString() };
+    } finally {
+        if (view) view.finalize();
+    }
+}
+
+// Write the thumbnail in a single read-modify-write transaction, so edits saved meanwhile are kept.
+// The modified date is left alone and other tabs aren't notified - they generate their own lazily.
+async function storeSnippetThumbnail(snippetId, thumbnail) {
+    await SnippetStorage.init();
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([SNIPPET_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(SNIPPET_STORE_NAME);
+        const request = store.get(snippetId);
+
+        request.onsuccess = () => {
+            if (request.result) {
+                store.put({ ...request.result, thumbnail });
+            }
+        };
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+    // Update the snippet list in place instead of reloading every snippet
+    const snippetPanel = document.getElementById('snippet-panel');
+    if (snippetPanel) {
+        snippetPanel.dispatchEvent(new CustomEvent('snippet-thumbnail-ready', {
+            detail: { snippetId, thumbnail }
+        }));
+    }
+}
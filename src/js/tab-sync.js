@@ -0,0 +1,252 @@
+// Cross-tab synchronization - tabs announce storage changes so other tabs refresh live,
+// and concurrent edits of the same snippet draft are detected instead of silently overwritten
+
+const TAB_SYNC_CHANNEL_NAME = 'astrolabe-sync';
+const TAB_SYNC_STORAGE_KEY = 'astrolabe-sync-message'; // Fallback when BroadcastChannel is unavailable
+const TAB_ID = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+let tabSyncChannel = null;
+
+// Draft of the open snippet as this tab last loaded or saved it (base for conflict detection)
+let syncBase = { snippetId: null, draft: null };
+
+// Alpine.js store for the conflict banner in the editor panel
+document.addEventListener('alpine:init', () => {
+    Alpine.store('sync', {
+        conflictSnippetId: null // Open snippet whose draft was changed in another tab while edited here
+    });
+});
+
+// Start listening for changes made in other tabs
+function initializeTabSync() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        tabSyncChannel = new BroadcastChannel(TAB_SYNC_CHANNEL_NAME);
+        tabSyncChannel.onmessage = (event) => handleStorageChange(event.data);
+    }
+
+    window.addEventListener('storage', (event) => {
+        if (event.key === TAB_SYNC_STORAGE_KEY && event.newValue && !tabSyncChannel) {
+            handleStorageChange(JSON.parse(event.newValue));
+        }
+
+        // Folders created or collapsed in another tab live in app settings
+        if (event.key === AppSettings.STORAGE_KEY) {
+            renderSnippetList();
+        }
+    });
+}
+
+// Tell other tabs that snippets, datasets, dashboards or the trash changed
+function broadcastStorageChange(type, ids = []) {
+    const message = { source: TAB_ID, type, ids };
+
+    try {
+        if (tabSyncChannel) {
+            tabSyncChannel.postMessage(message);
+        } else {
+            // The storage event only fires when the value changes, so include a timestamp
+            localStorage.setItem(TAB_SYNC_STORAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+        }
+    } catch (error) {
+        console.error('Failed to notify other tabs:', error);
+    }
+}
+
+// Refresh views after another tab changed storage
+async function handleStorageChange(message) {
+    if (!message || message.source === TAB_ID) return;
+
+    switch (message.type) {
+        case 'snippets': {
+            await renderSnippetList();
+            restoreSnippetSelection();
+
+            const currentId = Alpine.store('snippets').currentSnippetId;
+            if (currentId !== null && message.ids.includes(currentId)) {
+                await syncOpenSnippet();
+            }
+            break;
+        }
+        case 'datasets': {
+            await renderDatasetList();
+
+            // Close dataset details if the dataset was deleted in the other tab
+            const datasetId = Alpine.store('datasets').currentDatasetId;
+            if (datasetId !== null && message.ids.includes(datasetId) && !(await DatasetStorage.getDataset(datasetId))) {
+                document.getElementById('dataset-details').style.display = 'none';
+                Alpine.store('datasets').currentDatasetId = null;
+            }
+            break;
+        }
+        case 'trash':
+            refreshTrashView();
+            break;
+        case 'dashboards':
+            await handleDashboardStorageChange(message.ids);
+            break;
+        case 'themes':
+            handleThemeStorageChange();
+            break;
+        case 'fragments':
+            handleFragmentStorageChange();
+            break;
+    }
+}
+
+// Remember the draft the editor is based on
+function recordSyncBase(snippet) {
+    syncBase = { snippetId: snippet.id, draft: JSON.stringify(snippet.draftSpec) };
+}
+
+// Called after this tab saves snippets - moves the base forward and notifies other tabs
+function notifySnippetsSaved(snippets) {
+    const currentId = Alpine.store('snippets').currentSnippetId;
+    const openSnippet = snippets.find(snippet => snippet.id === currentId);
+
+    // While a conflict is pending the base must stay where the local edits started
+    if (openSnippet && !hasPendingSyncConflict(openSnippet.id)) {
+        recordSyncBase(openSnippet);
+    }
+
+    broadcastStorageChange('snippets', snippets.map(snippet => snippet.id));
+}
+
+function hasPendingSyncConflict(snippetId) {
+    return Alpine.store('sync').conflictSnippetId === snippetId;
+}
+
+// Check whether the stored draft differs from the one this tab's editor is based on
+function hasRemoteDraftChange(snippet) {
+    return syncBase.snippetId === snippet.id && syncBase.draft !== JSON.stringify(snippet.draftSpec);
+}
+
+// Check whether the editor holds draft edits that haven't been saved yet
+function hasUnsavedEditorChanges() {
+    if (!editor || Alpine.store('snippets').viewMode !== 'draft') return false;
+
+    try {
+        return JSON.stringify(JSON.parse(editor.getValue())) !== syncBase.draft;
+    } catch (error) {
+        // Invalid JSON in the editor is still an edit in progress
+        return true;
+    }
+}
+
+// Apply a change to the open snippet made in another tab
+async function syncOpenSnippet() {
+    const snippetId = Alpine.store('snippets').currentSnippetId;
+    const snippet = await getCurrentSnippet();
+
+    if (!snippet) {
+        clearSelection();
+        Toast.info('The open snippet was deleted in another tab');
+        return;
+    }
+
+    if (hasUnsavedEditorChanges()) {
+        // Only a draft change can clash with local edits; anything else is picked up by the next auto-save
+        if (hasRemoteDraftChange(snippet)) {
+            showSyncConflict(snippetId);
+        }
+        return;
+    }
+
+    // No local edits at stake - just show the latest version
+    await selectSnippet(snippetId, false);
+    await renderSnippetHistory();
+}
+
+// Hold local auto-save and show the conflict banner
+function showSyncConflict(snippetId) {
+    clearTimeout(autoSaveTimeout);
+    Alpine.store('sync').conflictSnippetId = snippetId;
+}
+
+function clearSyncConflict() {
+    Alpine.store('sync').conflictSnippetId = null;
+}
+
+// Three-way merge of JSON specs: changes from both sides are combined property by property
+// When both sides changed the same property differently, this tab's value wins
+function mergeSpecChanges(base, mine, theirs) {
+    let conflicts = 0;
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const merge = (baseValue, mineValue, theirsValue) => {
+        if (same(mineValue, theirsValue)) return mineValue;
+        if (same(baseValue, mineValue)) return theirsValue;
+        if (same(baseValue, theirsValue)) return mineValue;
+
+        if (isObject(mineValue) && isObject(theirsValue)) {
+            const baseObject = isObject(baseValue) ? baseValue : {};
+            const result = {};
+            new Set([...Object.keys(mineValue), ...Object.keys(theirsValue)]).forEach(key => {
+                const value = merge(baseObject[key], mineValue[key], theirsValue[key]);
+                if (value !== undefined) result[key] = value;
+            });
+            return result;
+        }
+
+        conflicts++;
+        return mineValue;
+    };
+
+    return { merged: merge(base, mine, theirs), conflicts };
+}
+
+// Resolve the conflict banner: 'reload' (take theirs), 'keep' (overwrite with mine) or 'merge'
+async function resolveSyncConflict(choice) {
+    const snippet = await getCurrentSnippet();
+    if (!snippet) {
+        clearSyncConflict();
+        return;
+    }
+
+    if (choice === 'reload') {
+        clearSyncConflict();
+        await selectSnippet(snippet.id, false);
+        await renderSnippetHistory();
+        Toast.info('Loaded the version from the other tab');
+    } else {
+        let mySpec;
+        try {
+            mySpec = JSON.parse(editor.getValue());
+        } catch (error) {
+            Toast.error('Fix the JSON errors in the editor first');
+            return;
+        }
+
+        let conflicts = 0;
+        if (choice === 'merge') {
+            const result = mergeSpecChanges(JSON.parse(syncBase.draft), mySpec, snippet.draftSpec);
+            mySpec = result.merged;
+            conflicts = result.conflicts;
+        }
+
+        clearSyncConflict();
+        snippet.draftSpec = mySpec;
+        snippet.datasetRefs = extractDatasetRefs(mySpec);
+        if (!(await SnippetStorage.saveSnippet(snippet))) return;
+
+        if (choice === 'merge') {
+            loadSnippetIntoEditor(snippet);
+        }
+
+        await renderSnippetList();
+        restoreSnippetSelection();
+        updateViewModeUI(snippet);
+        updateLinkedDatasets(snippet);
+
+        if (choice === 'keep') {
+            Toast.success('Kept your version of the draft');
+        } else if (conflicts > 0) {
+            Toast.warning(`Merged both versions - ${conflicts} propert${conflicts !== 1 ? 'ies were' : 'y was'} changed in both tabs, kept yours`);
+        } else {
+            Toast.success('Merged changes from both tabs');
+        }
+    }
+
+    // Track event
+    Analytics.track(`sync-conflict-${choice}`, 'Resolve cross-tab edit conflict');
+}
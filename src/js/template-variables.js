@@ -0,0 +1,274 @@
+// Template variables - snippets declare named variables (name, type, default) and reference them as
+// {{name}} anywhere in the spec. Placeholders are substituted before dataset references are resolved:
+// the open snippet renders with the live values of the variables panel, everything else with defaults.
+
+const TEMPLATE_VARIABLE_TYPES = ['string', 'number', 'boolean', 'color', 'field'];
+const TEMPLATE_VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const TEMPLATE_EXACT_PLACEHOLDER_PATTERN = /^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/;
+
+// Alpine.js store for the variables panel (definitions and live values of the open snippet)
+document.addEventListener('alpine:init', () => {
+    Alpine.store('templateVariables', {
+        snippetId: null,
+        definitions: [], // [{ name, type, default }]
+        values: {}, // name -> live value, kept until the snippet is reopened or saved as defaults
+        placeholders: [] // Placeholder names in the editor spec, as of the last render
+    });
+});
+
+function getSnippetVariables(snippet) {
+    return snippet && Array.isArray(snippet.variables) ? snippet.variables : [];
+}
+
+function coerceVariableValue(value, type) {
+    switch (type) {
+        case 'number': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : 0;
+        }
+        case 'boolean':
+            return value === true || value === 'true';
+        case 'color':
+            return typeof value === 'string' && value ? value : '#000000';
+        default:
+            return value === undefined || value === null ? '' : String(value);
+    }
+}
+
+// Drop invalid and duplicate names, unknown types fall back to string (used for stored and imported definitions)
+function normalizeTemplateVariables(variables) {
+    if (!Array.isArray(variables)) return [];
+
+    const names = new Set();
+    return variables.filter(variable => {
+        if (!variable || !TEMPLATE_VARIABLE_NAME_PATTERN.test(variable.name) || names.has(variable.name)) return false;
+        names.add(variable.name);
+        return true;
+    }).map(variable => {
+        const type = TEMPLATE_VARIABLE_TYPES.includes(variable.type) ? variable.type : 'string';
+        return { name: variable.name, type, default: coerceVariableValue(variable.default, type) };
+    });
+}
+
+// name -> value: the defaults, overridden by the given values
+function getVariableValues(variables, overrides = {}) {
+    const values = {};
+    variables.forEach(variable => {
+        const value = variable.name in overrides ? overrides[variable.name] : variable.default;
+        values[variable.name] = coerceVariableValue(value, variable.type);
+    });
+    return values;
+}
+
+function getVariableDefaults(snippet) {
+    return getVariableValues(getSnippetVariables(snippet));
+}
+
+// Live values of the open snippet ({} when no snippet is open)
+function getLiveVariableValues() {
+    const store = Alpine.store('templateVariables');
+    if (!store || store.snippetId === null || store.snippetId !== Alpine.store('snippets').currentSnippetId) {
+        return {};
+    }
+    return getVariableValues(store.definitions, store.values);
+}
+
+// Substitute the live values into the editor's spec (noting its placeholders for the panel)
+function applyLiveTemplateVariables(spec) {
+    const store = Alpine.store('templateVariables');
+    if (store) store.placeholders = findTemplatePlaceholders(spec);
+    return substituteTemplateVariables(spec, getLiveVariableValues());
+}
+
+// What the snippet renders with right now: live values when it's open, its defaults otherwise
+function getSnippetVariableValues(snippet) {
+    const store = Alpine.store('templateVariables');
+    return store && store.snippetId === snippet.id ? getLiveVariableValues() : getVariableDefaults(snippet);
+}
+
+// Copy of a spec with its placeholders substituted. A string that is just a placeholder takes the
+// value with its type ("{{size}}" becomes the number 40), placeholders inside longer strings are
+// interpolated as text. Placeholders without a value are left as they are.
+function substituteTemplateVariables(spec, values) {
+    return (function substitute(value) {
+        if (typeof value === 'string') {
+            const exact = value.match(TEMPLATE_EXACT_PLACEHOLDER_PATTERN);
+            if (exact && exact[1] in values) return values[exact[1]];
+            return value.replace(TEMPLATE_PLACEHOLDER_PATTERN, (match, name) => name in values ? String(values[name]) : match);
+        }
+        if (Array.isArray(value)) return value.map(substitute);
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(key => { result[key] = substitute(value[key]); });
+            return result;
+        }
+        return value;
+    })(spec);
+}
+
+// Names of the placeholders used in a spec
+function findTemplatePlaceholders(spec) {
+    const names = new Set();
+    (function traverse(value) {
+        if (typeof value === 'string') {
+            for (const match of value.matchAll(TEMPLATE_PLACEHOLDER_PATTERN)) names.add(match[1]);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(traverse);
+        }
+    })(spec);
+    return [...names];
+}
+
+// Copy of a snippet with the variable defaults substituted into every spec and no variables left
+// (the "substituted" choice of the export dialog)
+function withSubstitutedVariables(snippet) {
+    const { variables, ...rest } = snippet;
+    const values = getVariableDefaults(snippet);
+    if (Object.keys(values).length === 0) return rest;
+
+    return {
+        ...rest,
+        spec: substituteTemplateVariables(snippet.spec, values),
+        draftSpec: substituteTemplateVariables(snippet.draftSpec, values),
+        versions: Array.isArray(snippet.versions)
+            ? snippet.versions.map(version => ({ ...version, spec: substituteTemplateVariables(version.spec, values) }))
+            : snippet.versions
+    };
+}
+
+// Load the variables of a newly opened snippet into the panel, live values starting at the defaults.
+// Called before the snippet's spec goes into the editor, so its first render already uses them.
+function loadTemplateVariables(snippet) {
+    const store = Alpine.store('templateVariables');
+    store.snippetId = snippet ? snippet.id : null;
+    store.definitions = snippet ? JSON.parse(JSON.stringify(normalizeTemplateVariables(snippet.variables))) : [];
+    store.values = getVariableValues(store.definitions);
+}
+
+// Save the variable definitions of the open snippet and re-render the preview
+async function saveTemplateVariables(definitions) {
+    const snippet = await getCurrentSnippet();
+    if (!snippet) return false;
+
+    snippet.variables = normalizeTemplateVariables(JSON.parse(JSON.stringify(definitions)));
+    if (!(await SnippetStorage.saveSnippet(snippet))) return false;
+
+    const store = Alpine.store('templateVariables');
+    store.definitions = JSON.parse(JSON.stringify(snippet.variables));
+    store.values = getVariableValues(store.definitions, store.values);
+
+    await renderSnippetList();
+    restoreSnippetSelection();
+    renderVisualization();
+    return true;
+}
+
+// Alpine.js component for the variables section of the snippet meta panel
+function templateVariables() {
+    return {
+        newName: '',
+        newType: 'string',
+        types: TEMPLATE_VARIABLE_TYPES,
+        fieldOptions: [], // Columns of the snippet's linked datasets, suggested for field variables
+
+        async init() {
+            await this.loadFieldOptions();
+
+            // Reload suggestions whenever a different snippet is selected
+            this.$watch('$store.snippets.currentSnippetId', () => this.loadFieldOptions());
+        },
+
+        async loadFieldOptions() {
+            const snippet = await getCurrentSnippet();
+            const columns = new Set();
+            for (const name of (snippet && snippet.datasetRefs) || []) {
+                const dataset = await DatasetStorage.getDatasetByName(name);
+                if (dataset) (dataset.columns || []).forEach(column => columns.add(column));
+            }
+            this.fieldOptions = [...columns];
+        },
+
+        get definitions() {
+            return this.$store.templateVariables.definitions;
+        },
+
+        get values() {
+            return this.$store.templateVariables.values;
+        },
+
+        // Live values differ from the saved defaults
+        get changed() {
+            const defaults = getVariableValues(this.definitions);
+            return this.definitions.some(variable => defaults[variable.name] !== this.values[variable.name]);
+        },
+
+        // Placeholders in the editor that no variable declares (offered as one-click additions)
+        get undeclared() {
+            const declared = new Set(this.definitions.map(variable => variable.name));
+            return this.$store.templateVariables.placeholders.filter(name => !declared.has(name));
+        },
+
+        // Change a live value: only the preview changes, the snippet is not saved
+        setValue(variable, value) {
+            this.$store.templateVariables.values = {
+                ...this.values,
+                [variable.name]: coerceVariableValue(value, variable.type)
+            };
+            renderVisualization();
+        },
+
+        // Add the variable typed into the add row
+        async add() {
+            if (await this.addVariable(this.newName.trim(), this.newType)) {
+                this.newName = '';
+            }
+        },
+
+        // Declare a placeholder found in the spec as a string variable
+        async declare(name) {
+            await this.addVariable(name, 'string');
+        },
+
+        async addVariable(name, type) {
+            if (!TEMPLATE_VARIABLE_NAME_PATTERN.test(name)) {
+                Toast.error('Variable names start with a letter or underscore and contain only letters, digits and underscores');
+                return false;
+            }
+            if (this.definitions.some(variable => variable.name === name)) {
+                Toast.error(`Variable "${name}" already exists`);
+                return false;
+            }
+
+            const variable = { name, type, default: coerceVariableValue(undefined, type) };
+            if (!(await saveTemplateVariables([...this.definitions, variable]))) return false;
+
+            // Track event
+            Analytics.track('variable-add', `Add ${type} variable`);
+            return true;
+        },
+
+        async remove(name) {
+            await saveTemplateVariables(this.definitions.filter(variable => variable.name !== name));
+        },
+
+        async changeType(variable, type) {
+            await saveTemplateVariables(this.definitions.map(definition => definition.name === variable.name
+                ? { ...definition, type, default: coerceVariableValue(definition.default, type) }
+                : definition));
+        },
+
+        // Store the live values as the defaults used everywhere else (dashboards, exports, thumbnails)
+        async saveDefaults() {
+            const definitions = this.definitions.map(variable => ({ ...variable, default: this.values[variable.name] }));
+            if (await saveTemplateVariables(definitions)) {
+                Toast.success('Saved the current values as defaults');
+            }
+        },
+
+        resetValues() {
+            this.$store.templateVariables.values = getVariableValues(this.definitions);
+            renderVisualization();
+        }
+    };
+}
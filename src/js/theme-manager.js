@@ -0,0 +1,531 @@
+// Theme library - named Vega-Lite configs stored next to snippets and datasets. A spec uses one with
+// "usermeta": {"astrolabeTheme": "<name>"}; before rendering, the theme's config is deep-merged under
+// the spec's own config, so settings written in the snippet still win.
+
+const THEME_USERMETA_KEY = 'astrolabeTheme';
+
+// Alpine.js component for the Themes modal (theme list, config editor and snippet updates)
+function themeManager() {
+    return {
+        themes: [],
+        usageCounts: {},
+        snippets: [], // Library, for the "Used by" list
+        selectedId: null,
+        name: '',
+        comment: '',
+        configText: '',
+        error: null,
+        replacementName: '', // Theme the "Switch snippets" action moves users to ('' = none)
+
+        async init() {
+            // Listen for refresh events dispatched by openThemeManager() and storage changes
+            this.$el.addEventListener('theme-manager-refresh', async (event) => {
+                await this.load((event.detail || {}).themeId);
+            });
+        },
+
+        async load(themeId = this.selectedId) {
+            const themes = await ThemeStorage.listThemes();
+            this.themes = themes.sort((a, b) => a.name.localeCompare(b.name));
+            this.snippets = await SnippetStorage.loadSnippets();
+            this.usageCounts = countSnippetUsageByTheme(this.snippets);
+
+            const theme = this.themes.find(t => t.id === themeId);
+            if (theme) {
+                // Keep unsaved edits when only the list changed
+                if (theme.id !== this.selectedId || !this.dirty) this.select(theme);
+            } else {
+                this.selectedId = null;
+            }
+        },
+
+        get selected() {
+            return this.themes.find(theme => theme.id === this.selectedId) || null;
+        },
+
+        // Unsaved edits in the form
+        get dirty() {
+            const theme = this.selected;
+            return !!theme && (this.name !== theme.name || this.comment !== (theme.comment || '') ||
+                this.configText !== JSON.stringify(theme.config, null, 2));
+        },
+
+        get usedBy() {
+            const theme = this.selected;
+            return theme ? this.snippets.filter(snippet => snippetUsesTheme(snippet, theme.name)) : [];
+        },
+
+        get otherThemes() {
+            return this.themes.filter(theme => theme.id !== this.selectedId);
+        },
+
+        select(theme) {
+            if (theme.id !== this.selectedId && this.dirty && !confirm('Discard unsaved changes to this theme?')) return;
+
+            this.selectedId = theme.id;
+            this.name = theme.name;
+            this.comment = theme.comment || '';
+            this.configText = JSON.stringify(theme.config, null, 2);
+            this.error = null;
+            this.replacementName = '';
+        },
+
+        getUsageCount(theme) {
+            return this.usageCounts[theme.name] || 0;
+        },
+
+        async create() {
+            await createNewTheme();
+        },
+
+        async createFromSnippet() {
+            await createThemeFromSnippet();
+        },
+
+        async save() {
+            let config;
+            try {
+                config = JSON.parse(this.configText);
+            } catch (error) {
+                this.error = `Invalid JSON: ${error.message}`;
+                return;
+            }
+            if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                this.error = 'A theme is a Vega-Lite config object';
+                return;
+            }
+
+            this.error = null;
+            await updateTheme(this.selectedId, { name: this.name.trim(), comment: this.comment, config });
+        },
+
+        async remove() {
+            await deleteTheme(this.selectedId);
+        },
+
+        async applyToSnippet() {
+            await applyThemeToCurrentSnippet(this.selected.name);
+        },
+
+        async switchSnippets() {
+            await switchSnippetTheme(this.selected.name, this.replacementName || null);
+        },
+
+        copyReference() {
+            copyThemeReference(this.selected.name);
+        },
+
+        openSnippet(snippetId) {
+            ModalManager.close('theme-modal');
+            selectSnippet(snippetId);
+        }
+    };
+}
+
+// IndexedDB wrapper for themes (shares the database opened in dataset-manager.js)
+const ThemeStorage = {
+    async init() {
+        if (!db) {
+            await initializeDatasetDB();
+        }
+        return db;
+    },
+
+    async listThemes() {
+        try {
+            await this.init();
+
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction([THEME_STORE_NAME], 'readonly');
+                const request = transaction.objectStore(THEME_STORE_NAME).getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to load themes from IndexedDB:', error);
+            return [];
+        }
+    },
+
+    async getTheme(id) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([THEME_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(THEME_STORE_NAME).get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getThemeByName(name) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([THEME_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(THEME_STORE_NAME).index('name').get(name);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Save theme (add or update)
+    async saveTheme(theme) {
+        try {
+            await this.init();
+            theme.modified = new Date().toISOString();
+
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([THEME_STORE_NAME], 'readwrite');
+                transaction.objectStore(THEME_STORE_NAME).put(theme);
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+
+            updateStorageMonitor();
+            broadcastStorageChange('themes', [theme.id]);
+            return true;
+        } catch (error) {
+            console.error('Failed to save theme to IndexedDB:', error);
+            Toast.error(`Failed to save theme: ${error.message}`);
+            return false;
+        }
+    },
+
+    async deleteTheme(id) {
+        try {
+            await this.init();
+
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([THEME_STORE_NAME], 'readwrite');
+                const request = transaction.objectStore(THEME_STORE_NAME).delete(id);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+
+            updateStorageMonitor();
+            broadcastStorageChange('themes', [id]);
+            return true;
+        } catch (error) {
+            console.error('Failed to delete theme from IndexedDB:', error);
+            Toast.error('Failed to delete theme');
+            return false;
+        }
+    },
+
+    async nameExists(name, excludeId = null) {
+        const themes = await this.listThemes();
+        return themes.some(theme => theme.name === name && theme.id !== excludeId);
+    }
+};
+
+function createTheme(name, config = {}) {
+    const now = new Date().toISOString();
+
+    return {
+        id: generateSnippetId(),
+        name,
+        created: now,
+        modified: now,
+        comment: '',
+        config // Vega-Lite config object
+    };
+}
+
+// Theme name a spec refers to, or null
+function getSpecThemeName(spec) {
+    const usermeta = spec && spec.usermeta;
+    return usermeta && typeof usermeta[THEME_USERMETA_KEY] === 'string' ? usermeta[THEME_USERMETA_KEY] : null;
+}
+
+// Copy of a spec referring to another theme (null removes the reference, and usermeta if it's left empty)
+function setSpecThemeName(spec, themeName) {
+    const newSpec = JSON.parse(JSON.stringify(spec));
+    const usermeta = { ...(newSpec.usermeta || {}) };
+
+    if (themeName) {
+        usermeta[THEME_USERMETA_KEY] = themeName;
+    } else {
+        delete usermeta[THEME_USERMETA_KEY];
+    }
+
+    if (Object.keys(usermeta).length > 0) {
+        newSpec.usermeta = usermeta;
+    } else {
+        delete newSpec.usermeta;
+    }
+    return newSpec;
+}
+
+// The published spec or the draft refers to the theme
+function snippetUsesTheme(snippet, themeName) {
+    return getSpecThemeName(snippet.spec) === themeName || getSpecThemeName(snippet.draftSpec) === themeName;
+}
+
+// Count snippet usage for every theme at once (keyed by theme name)
+function countSnippetUsageByTheme(snippets) {
+    const counts = {};
+    snippets.forEach(snippet => {
+        const names = new Set([getSpecThemeName(snippet.spec), getSpecThemeName(snippet.draftSpec)]);
+        names.forEach(name => {
+            if (name) counts[name] = (counts[name] || 0) + 1;
+        });
+    });
+    return counts;
+}
+
+// Deep merge for configs: nested objects merge, anything else in the override replaces the base
+function mergeThemeConfig(base, override) {
+    const merged = { ...base };
+    Object.keys(override).forEach(key => {
+        const value = override[key];
+        const isObject = item => item && typeof item === 'object' && !Array.isArray(item);
+        merged[key] = isObject(value) && isObject(base[key]) ? mergeThemeConfig(base[key], value) : value;
+    });
+    return merged;
+}
+
+// Merge the referenced theme into the spec's config (modifies the spec, like resolveDatasetReferences)
+async function resolveThemeReference(spec) {
+    const themeName = getSpecThemeName(spec);
+    if (!themeName) return spec;
+
+    const theme = await ThemeStorage.getThemeByName(themeName);
+    if (theme) {
+        spec.config = mergeThemeConfig(theme.config, spec.config || {});
+    } else {
+        console.warn(`Theme "${themeName}" not found`);
+    }
+    return spec;
+}
+
+// Open the Themes modal, optionally with a theme selected
+function openThemeManager(themeId) {
+    ModalManager.open('theme-modal');
+    refreshThemeManager(themeId);
+}
+
+function refreshThemeManager(themeId) {
+    const managerView = document.getElementById('theme-manager-view');
+    if (managerView) {
+        managerView.dispatchEvent(new CustomEvent('theme-manager-refresh', { detail: { themeId } }));
+    }
+}
+
+// Ask for a unique theme name (null when cancelled)
+async function promptThemeName(defaultName) {
+    const name = prompt('Theme name:', defaultName);
+    if (name === null || !name.trim()) return null;
+
+    if (await ThemeStorage.nameExists(name.trim())) {
+        Toast.error(`Theme "${name.trim()}" already exists`);
+        return null;
+    }
+    return name.trim();
+}
+
+async function createNewTheme() {
+    const name = await promptThemeName('corporate');
+    if (!name) return;
+
+    const theme = createTheme(name);
+    if (!(await ThemeStorage.saveTheme(theme))) return;
+
+    refreshThemeManager(theme.id);
+    Toast.success(`Created theme "${name}"`);
+
+    // Track event
+    Analytics.track('theme-create', 'Create theme');
+}
+
+// Start a theme from the config block of the open snippet's draft
+async function createThemeFromSnippet() {
+    const snippet = await getCurrentSnippet();
+    if (!snippet) {
+        Toast.info('Select a snippet to copy its config from');
+        return;
+    }
+
+    const config = snippet.draftSpec.config;
+    if (!config || typeof config !== 'object' || Object.keys(config).length === 0) {
+        Toast.info(`"${snippet.name}" has no config block to copy`);
+        return;
+    }
+
+    const name = await promptThemeName(snippet.name);
+    if (!name) return;
+
+    const theme = createTheme(name, JSON.parse(JSON.stringify(config)));
+    theme.comment = `Created from the config of "${snippet.name}"`;
+    if (!(await ThemeStorage.saveTheme(theme))) return;
+
+    refreshThemeManager(theme.id);
+    Toast.success(`Created theme "${name}" - apply it to snippets to share the config`);
+
+    // Track event
+    Analytics.track('theme-create', 'Create theme from snippet config');
+}
+
+// Save edits to a theme; a new name is carried over to every snippet that refers to the old one
+async function updateTheme(themeId, { name, comment, config }) {
+    const theme = await ThemeStorage.getTheme(themeId);
+    if (!theme) return;
+
+    const oldName = theme.name;
+    const renamed = name && name !== oldName;
+    if (!name) {
+        Toast.error('Theme name cannot be empty');
+        return;
+    }
+    if (renamed) {
+        if (await ThemeStorage.nameExists(name, themeId)) {
+            Toast.error(`Theme "${name}" already exists`);
+            return;
+        }
+
+        const snippets = await SnippetStorage.loadSnippets();
+        const usageCount = snippets.filter(snippet => snippetUsesTheme(snippet, oldName)).length;
+        if (usageCount > 0 && !confirm(`Renaming this theme will update the reference in ${formatSnippetCount(usageCount)}.\n\nContinue with rename?`)) {
+            return;
+        }
+    }
+
+    theme.name = name;
+    theme.comment = comment;
+    theme.config = config;
+    if (!(await ThemeStorage.saveTheme(theme))) return;
+
+    if (renamed) {
+        await replaceSnippetThemeReferences(oldName, name);
+    }
+
+    refreshThemeManager(themeId);
+    refreshThemedViews();
+    Toast.success(`Saved theme "${name}"`);
+
+    // Track event
+    Analytics.track('theme-save', renamed ? 'Rename theme' : 'Save theme');
+}
+
+// Snippets keep their reference, so they render without the theme until it's recreated or switched
+async function deleteTheme(themeId) {
+    const theme = await ThemeStorage.getTheme(themeId);
+    if (!theme) return;
+
+    const snippets = await SnippetStorage.loadSnippets();
+    const usageCount = snippets.filter(snippet => snippetUsesTheme(snippet, theme.name)).length;
+    const warning = usageCount > 0
+        ? `\n\n⚠️ ${formatSnippetCount(usageCount)} using this theme will render without it.`
+        : '';
+
+    if (!confirm(`Delete theme "${theme.name}"?${warning}`)) return;
+    if (!(await ThemeStorage.deleteTheme(themeId))) return;
+
+    refreshThemeManager();
+    refreshThemedViews();
+    Toast.success(`Deleted theme "${theme.name}"`);
+
+    // Track event
+    Analytics.track('theme-delete', 'Delete theme');
+}
+
+// Point every snippet that uses oldName at newName (null removes the reference); returns the updated count
+async function replaceSnippetThemeReferences(oldName, newName) {
+    const snippets = await SnippetStorage.loadSnippets();
+    const affectedSnippets = snippets.filter(snippet => snippetUsesTheme(snippet, oldName));
+    if (affectedSnippets.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    affectedSnippets.forEach(snippet => {
+        if (getSpecThemeName(snippet.spec) === oldName) snippet.spec = setSpecThemeName(snippet.spec, newName);
+        if (getSpecThemeName(snippet.draftSpec) === oldName) snippet.draftSpec = setSpecThemeName(snippet.draftSpec, newName);
+        snippet.modified = now;
+    });
+    if (!(await SnippetStorage.saveSnippets(affectedSnippets))) return 0;
+
+    // The editor shows the open snippet's spec, so it has to follow
+    const current = affectedSnippets.find(snippet => snippet.id === Alpine.store('snippets').currentSnippetId);
+    if (current) {
+        loadSnippetIntoEditor(current);
+        updateViewModeUI(current);
+    }
+
+    await renderSnippetList();
+    restoreSnippetSelection();
+    return affectedSnippets.length;
+}
+
+// Bulk update: move every snippet using a theme to another theme, or drop the reference
+async function switchSnippetTheme(themeName, replacementName) {
+    const target = replacementName ? `theme "${replacementName}"` : 'no theme';
+    if (!confirm(`Switch every snippet that uses "${themeName}" (published and draft) to ${target}?`)) return;
+
+    const count = await replaceSnippetThemeReferences(themeName, replacementName);
+    refreshThemeManager();
+    refreshThemedViews();
+    Toast.success(`Switched ${formatSnippetCount(count)} to ${target}`);
+
+    // Track event
+    Analytics.track('theme-switch', `Switch ${count} snippets to ${replacementName ? 'another theme' : 'no theme'}`);
+}
+
+// Refer to the theme from the open snippet's draft
+async function applyThemeToCurrentSnippet(themeName) {
+    const snippet = await getCurrentSnippet();
+    if (!snippet) {
+        Toast.info('Select a snippet to apply the theme to');
+        return;
+    }
+
+    // The editor holds the freshest copy of the draft
+    let draftSpec = snippet.draftSpec;
+    if (Alpine.store('snippets').viewMode === 'draft') {
+        try {
+            draftSpec = JSON.parse(editor.getValue());
+        } catch (error) {
+            Toast.error('Fix the JSON errors in the editor first');
+            return;
+        }
+    }
+
+    snippet.draftSpec = setSpecThemeName(draftSpec, themeName);
+    if (!(await SnippetStorage.saveSnippet(snippet))) return;
+
+    Alpine.store('snippets').viewMode = 'draft';
+    loadSnippetIntoEditor(snippet);
+    updateViewModeUI(snippet);
+
+    await renderSnippetList();
+    restoreSnippetSelection();
+    refreshThemeManager();
+    Toast.success(`Applied theme "${themeName}" to the draft of "${snippet.name}"`);
+
+    // Track event
+    Analytics.track('theme-apply', 'Apply theme to snippet');
+}
+
+async function copyThemeReference(themeName) {
+    await navigator.clipboard.writeText(`"usermeta": {"${THEME_USERMETA_KEY}": "${themeName}"}`);
+    Toast.success('Theme reference copied to clipboard!');
+}
+
+// Re-render what may show a themed chart (the preview and the open dashboard)
+function refreshThemedViews() {
+    if (Alpine.store('snippets').currentSnippetId !== null) {
+        renderVisualization();
+    }
+    refreshOpenDashboard();
+    refreshGalleryThumbnails();
+}
+
+// A theme changed in another tab
+function handleThemeStorageChange() {
+    refreshThemeManager();
+    refreshThemedViews();
+}
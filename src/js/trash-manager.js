@@ -0,0 +1,316 @@
+// Trash bin - deleted snippets and datasets are kept until restored, deleted forever or purged
+
+// Object store each trashed item type is restored into
+const TRASH_ITEM_STORES = {
+    snippet: SNIPPET_STORE_NAME,
+    dataset: STORE_NAME
+};
+
+// Alpine.js component for the trash view in the snippet panel
+function trashBin() {
+    return {
+        items: [], // Newest first: [{ trashId, type, deletedAt, item }]
+        retentionDays: 30,
+
+        async init() {
+            await this.loadItems();
+
+            // Listen for refresh events dispatched by refreshTrashView()
+            this.$el.addEventListener('trash-refresh', async () => {
+                await this.loadItems();
+            });
+        },
+
+        async loadItems() {
+            this.items = await TrashStorage.listTrash();
+            this.retentionDays = getTrashRetentionDays();
+        },
+
+        typeIcon(entry) {
+            return entry.type === 'dataset' ? '📁' : '📄';
+        },
+
+        formatDeleted(entry) {
+            const daysLeft = Math.max(0, this.retentionDays - Math.floor((Date.now() - new Date(entry.deletedAt)) / (1000 * 60 * 60 * 24)));
+            return `Deleted ${formatDate(entry.deletedAt)} • ${daysLeft} day${daysLeft !== 1 ? 's' : ''} left`;
+        },
+
+        async restore(entry) {
+            await restoreFromTrash(entry.trashId);
+        },
+
+        async remove(entry) {
+            await deleteFromTrash(entry.trashId);
+        },
+
+        async emptyAll() {
+            await emptyTrash();
+        }
+    };
+}
+
+// Trash Storage API
+const TrashStorage = {
+    // Initialize database
+    async init() {
+        if (!db) {
+            await initializeDatasetDB();
+        }
+        return db;
+    },
+
+    // Move an item out of its store into the trash (single transaction, so nothing is lost halfway)
+    async moveToTrash(type, item) {
+        await this.init();
+
+        const entry = { type, deletedAt: new Date().toISOString(), item };
+        const itemStore = TRASH_ITEM_STORES[type];
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME, itemStore], 'readwrite');
+            transaction.objectStore(itemStore).delete(item.id);
+            const request = transaction.objectStore(TRASH_STORE_NAME).add(entry);
+
+            transaction.oncomplete = () => {
+                broadcastStorageChange(`${type}s`, [item.id]);
+                broadcastStorageChange('trash');
+                resolve({ ...entry, trashId: request.result });
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    // Get all trashed items (newest first)
+    async listTrash() {
+        await this.init();
+
+        const entries = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(TRASH_STORE_NAME).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return entries.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    },
+
+    // Get single trash entry by ID
+    async getEntry(trashId) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(TRASH_STORE_NAME).get(trashId);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Put an item back into its store and remove it from the trash (single transaction)
+    async restore(trashId, item) {
+        await this.init();
+
+        const entry = await this.getEntry(trashId);
+        if (!entry) {
+            throw new Error('Trash item not found');
+        }
+        const itemStore = TRASH_ITEM_STORES[entry.type];
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME, itemStore], 'readwrite');
+            transaction.objectStore(itemStore).put(item || entry.item);
+            transaction.objectStore(TRASH_STORE_NAME).delete(trashId);
+
+            transaction.oncomplete = () => {
+                broadcastStorageChange(`${entry.type}s`, [(item || entry.item).id]);
+                broadcastStorageChange('trash');
+                resolve(item || entry.item);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    // Delete a trash entry for good
+    async deletePermanently(trashId) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME], 'readwrite');
+            const request = transaction.objectStore(TRASH_STORE_NAME).delete(trashId);
+
+            request.onsuccess = () => {
+                broadcastStorageChange('trash');
+                resolve(true);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Delete every trash entry
+    async emptyTrash() {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME], 'readwrite');
+            const request = transaction.objectStore(TRASH_STORE_NAME).clear();
+
+            request.onsuccess = () => {
+                broadcastStorageChange('trash');
+                resolve(true);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Delete entries trashed more than retentionDays ago, returns the number purged
+    async purgeExpired(retentionDays) {
+        await this.init();
+
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME], 'readwrite');
+            const index = transaction.objectStore(TRASH_STORE_NAME).index('deletedAt');
+            const request = index.openCursor(IDBKeyRange.upperBound(cutoff));
+            let purged = 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    purged++;
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => {
+                if (purged > 0) broadcastStorageChange('trash');
+                resolve(purged);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+};
+
+// Days to keep trashed items before they are purged
+function getTrashRetentionDays() {
+    return getSetting('storage.trashRetentionDays') || DEFAULT_SETTINGS.storage.trashRetentionDays;
+}
+
+// Reload the trash view (if it's visible in the snippet panel)
+function refreshTrashView() {
+    const trashView = document.getElementById('trash-view');
+    if (trashView) {
+        trashView.dispatchEvent(new CustomEvent('trash-refresh'));
+    }
+}
+
+// Restore a trashed snippet or dataset
+async function restoreFromTrash(trashId) {
+    const entry = await TrashStorage.getEntry(trashId);
+    if (!entry) return;
+
+    try {
+        if (entry.type === 'dataset') {
+            // Another dataset may have taken the name in the meantime - dataset names must be unique
+            const dataset = { ...entry.item };
+            let datasetName = dataset.name;
+            let counter = 1;
+            while (await DatasetStorage.nameExists(datasetName, dataset.id)) {
+                datasetName = `${dataset.name}_restored${counter > 1 ? `_${counter}` : ''}`;
+                counter++;
+            }
+            dataset.name = datasetName;
+
+            // The ID may have been taken too (e.g. by re-importing an exported copy)
+            if (await DatasetStorage.getDataset(dataset.id)) {
+                dataset.id = generateDatasetId();
+            }
+
+            await TrashStorage.restore(trashId, dataset);
+            await renderDatasetList();
+
+            // Snippets referencing the dataset can render again
+            if (Alpine.store('snippets').currentSnippetId && typeof renderVisualization === 'function') {
+                await renderVisualization();
+            }
+
+            Toast.success(datasetName === entry.item.name
+                ? `Dataset "${datasetName}" restored`
+                : `Dataset restored as "${datasetName}" (name already in use)`);
+        } else {
+            // Never overwrite a live snippet that took the ID meanwhile (e.g. a re-imported export)
+            const snippet = { ...entry.item };
+            if (await SnippetStorage.getSnippet(snippet.id)) {
+                snippet.id = generateSnippetId();
+            }
+
+            await TrashStorage.restore(trashId, snippet);
+            await renderSnippetList();
+            restoreSnippetSelection();
+
+            Toast.success(`Snippet "${entry.item.name}" restored`);
+        }
+    } catch (error) {
+        Toast.error(`Failed to restore: ${error.message}`);
+        return;
+    }
+
+    refreshTrashView();
+    updateStorageMonitor();
+
+    // Track event
+    Analytics.track(`${entry.type}-restore`, `Restore ${entry.type} from trash`);
+}
+
+// Permanently delete a single trashed item
+async function deleteFromTrash(trashId) {
+    const entry = await TrashStorage.getEntry(trashId);
+    if (!entry) return;
+
+    if (!confirmGenericDeletion(entry.item.name)) return;
+
+    await TrashStorage.deletePermanently(trashId);
+    refreshTrashView();
+    updateStorageMonitor();
+
+    Toast.success(`"${entry.item.name}" deleted permanently`);
+
+    // Track event
+    Analytics.track('trash-delete', `Delete ${entry.type} permanently`);
+}
+
+// Permanently delete everything in the trash
+async function emptyTrash() {
+    const entries = await TrashStorage.listTrash();
+    if (entries.length === 0) return;
+
+    const confirmed = confirm(`Permanently delete ${entries.length} item${entries.length !== 1 ? 's' : ''} in the trash? This action cannot be undone.`);
+    if (!confirmed) return;
+
+    await TrashStorage.emptyTrash();
+    refreshTrashView();
+    updateStorageMonitor();
+
+    Toast.success('Trash emptied');
+
+    // Track event
+    Analytics.track('trash-empty', 'Empty trash');
+}
+
+// Purge items older than the retention setting (runs on startup)
+async function purgeExpiredTrash() {
+    try {
+        const purged = await TrashStorage.purgeExpired(getTrashRetentionDays());
+        if (purged > 0) {
+            refreshTrashView();
+            updateStorageMonitor();
+        }
+    } catch (error) {
+        console.error('Failed to purge expired trash items:', error);
+    }
+}
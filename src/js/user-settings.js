@@ -27,6 +27,10 @@ const DEFAULT_SETTINGS = {
     formatting: {
         dateFormat: 'smart',       // 'smart' | 'locale' | 'iso' | 'custom'
         customDateFormat: 'yyyy-MM-dd HH:mm'  // Used when dateFormat === 'custom'
+    },
+
+    storage: {
+        trashRetentionDays: 30     // 1-365 days - deleted items are purged from the trash after this
     }
 };
 
@@ -217,6 +221,7 @@ function validateSetting(path, value) {
         'editor.tabSize': () => typeof value === 'number' && value >= 2 && value <= 8 ? [] : ['Tab size must be between 2 and 8'],
         'performance.renderDebounce': () => typeof value === 'number' && value >= 300 && value <= 3000 ? [] : ['Render debounce must be between 300-3000ms'],
         'formatting.dateFormat': () => ['smart', 'locale', 'iso', 'custom'].includes(value) ? [] : ['Invalid date format'],
+        'storage.trashRetentionDays': () => Number.isInteger(value) && value >= 1 && value <= 365 ? [] : ['Trash retention must be between 1 and 365 days'],
         'ui.theme': () => ['light', 'experimental'].includes(value) ? [] : ['Invalid UI theme']
     };
 
@@ -238,6 +243,7 @@ function settingsPanel() {
         renderDebounce: 1500,
         dateFormat: 'smart',
         customDateFormat: 'yyyy-MM-dd HH:mm',
+        trashRetentionDays: 30,
 
         // Original values for dirty checking
         originalSettings: null,
@@ -260,6 +266,7 @@ function settingsPanel() {
             this.renderDebounce = settings.performance.renderDebounce;
             this.dateFormat = settings.formatting.dateFormat;
             this.customDateFormat = settings.formatting.customDateFormat;
+            this.trashRetentionDays = settings.storage.trashRetentionDays;
 
             // Store original values for dirty checking
             this.originalSettings = JSON.stringify(this.getCurrentFormState());
@@ -277,7 +284,8 @@ function settingsPanel() {
                 lineNumbers: this.lineNumbers,
                 renderDebounce: this.renderDebounce,
                 dateFormat: this.dateFormat,
-                customDateFormat: this.customDateFormat
+                customDateFormat: this.customDateFormat,
+                trashRetentionDays: this.trashRetentionDays
             };
         },
 
@@ -292,7 +300,7 @@ function settingsPanel() {
         },
 
         // Apply settings and save
-        apply() {
+        async apply() {
             const newSettings = {
                 'ui.theme': this.uiTheme,
                 'editor.fontSize': parseInt(this.fontSize),
@@ -303,7 +311,8 @@ function settingsPanel() {
                 'editor.lineNumbers': this.lineNumbers ? 'on' : 'off',
                 'performance.renderDebounce': parseInt(this.renderDebounce),
                 'formatting.dateFormat': this.dateFormat,
-                'formatting.customDateFormat': this.customDateFormat
+                'formatting.customDateFormat': this.customDateFormat,
+                'storage.trashRetentionDays': parseInt(this.trashRetentionDays)
             };
 
             // Validate settings
@@ -349,11 +358,14 @@ function settingsPanel() {
                 }
 
                 // Re-render snippet list to reflect date format changes
-                renderSnippetList();
+                await renderSnippetList();
+
+                // Purge trash items that are past the new retention period
+                await purgeExpiredTrash();
 
                 // Update metadata display if a snippet is selected
                 if (Alpine.store('snippets').currentSnippetId) {
-                    const snippet = SnippetStorage.getSnippet(Alpine.store('snippets').currentSnippetId);
+                    const snippet = await SnippetStorage.getSnippet(Alpine.store('snippets').currentSnippetId);
                     if (snippet) {
                         document.getElementById('snippet-created').textContent = formatDate(snippet.created, true);
                         document.getElementById('snippet-modified').textContent = formatDate(snippet.modified, true);
@@ -0,0 +1,106 @@
+// Vega Editor share links - open the current spec in vega.github.io/editor and create
+// snippets from links shared that way (the URL hash holds the lz-string compressed spec)
+
+const VEGA_EDITOR_URL = 'https://vega.github.io/editor/';
+const VEGA_EDITOR_MAX_URL_LENGTH = 2 * 1024 * 1024; // Chrome's URL length limit
+
+// Vega Editor mode for a spec: plain Vega specs declare a Vega (not Vega-Lite) $schema
+function getVegaEditorMode(spec) {
+    const schema = typeof spec.$schema === 'string' ? spec.$schema : '';
+    return /\/schema\/vega\//.test(schema) ? 'vega' : 'vega-lite';
+}
+
+// Build a Vega Editor link for a spec; fragments, variables, the theme and dataset references are
+// inlined so the link is self-contained
+async function buildVegaEditorUrl(spec, variableValues = {}) {
+    const resolvedSpec = await resolveDatasetReferences(await resolveLibraryReferences(spec, variableValues));
+    const compressed = LZString.compressToEncodedURIComponent(JSON.stringify(resolvedSpec, null, 2));
+    return `${VEGA_EDITOR_URL}#/url/${getVegaEditorMode(spec)}/${compressed}`;
+}
+
+// Parse a Vega Editor link ("…/editor/#/url/vega-lite/<compressed spec>") into { mode, spec }
+function parseVegaEditorUrl(url) {
+    const match = url.trim().match(/#\/url\/(vega-lite|vega)\/([A-Za-z0-9+\-$ ]+)/);
+    if (!match) {
+        throw new Error('Not a Vega Editor share link (expected …/editor/#/url/vega-lite/…)');
+    }
+
+    const specText = LZString.decompressFromEncodedURIComponent(match[2]);
+    if (!specText) {
+        throw new Error('The link is truncated or corrupted');
+    }
+
+    try {
+        return { mode: match[1], spec: JSON.parse(specText) };
+    } catch (error) {
+        throw new Error('The link does not contain a valid JSON spec');
+    }
+}
+
+// Open the spec currently in the editor (with the live variable values) in the Vega Editor
+async function openInVegaEditor() {
+    let spec;
+    try {
+        spec = JSON.parse(editor.getValue());
+    } catch (error) {
+        Toast.error('Fix the JSON errors in the editor first');
+        return;
+    }
+
+    // Open the window right away - popup blockers reject window.open() after an await
+    const editorWindow = window.open('', '_blank');
+
+    try {
+        const url = await buildVegaEditorUrl(spec, getLiveVariableValues());
+        if (url.length > VEGA_EDITOR_MAX_URL_LENGTH) {
+            throw new Error('the spec and its datasets are too large for a link');
+        }
+
+        if (editorWindow) {
+            editorWindow.location.href = url;
+        } else {
+            window.location.href = url;
+        }
+    } catch (error) {
+        if (editorWindow) editorWindow.close();
+        Toast.error(`Cannot open in Vega Editor: ${error.message}`);
+        return;
+    }
+
+    // Track event
+    Analytics.track('vega-editor-open', 'Open spec in Vega Editor');
+}
+
+// Create a new snippet from a pasted Vega Editor link
+async function importFromVegaEditor() {
+    const url = prompt('Paste a Vega Editor link (https://vega.github.io/editor/#/url/…):', '');
+    if (url === null || !url.trim()) return;
+
+    let parsed;
+    try {
+        parsed = parseVegaEditorUrl(url);
+    } catch (error) {
+        Toast.error(`Cannot import link: ${error.message}`);
+        return;
+    }
+
+    const { spec, mode } = parsed;
+    const title = typeof spec.title === 'string' ? spec.title : (spec.title && spec.title.text);
+    const newSnippet = createSnippet(spec, typeof title === 'string' && title.trim() ? title.trim() : null);
+    newSnippet.comment = 'Imported from the Vega Editor';
+    newSnippet.datasetRefs = extractDatasetRefs(spec);
+
+    if (!(await SnippetStorage.saveSnippet(newSnippet))) return;
+
+    await renderSnippetList();
+    await selectSnippet(newSnippet.id);
+
+    if (mode === 'vega') {
+        Toast.warning('Imported a Vega (not Vega-Lite) spec - some Astrolabe features may not apply');
+    } else {
+        Toast.success('Snippet created from Vega Editor link');
+    }
+
+    // Track event
+    Analytics.track('vega-editor-import', `Import ${mode} spec from Vega Editor link`);
+}
@@ -0,0 +1,148 @@
+// Minimal ZIP archive writer and reader - written files are stored uncompressed (PNG and
+// JPEG are already compressed), which keeps archive generation fast and dependency-free
+// The reader also accepts deflated entries, so archives re-zipped by other tools still import
+
+const ZIP_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function zipCrc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ZIP_CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields used by ZIP headers
+function zipDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Build a ZIP archive Blob from [{ name, data }] where data is a string or Uint8Array
+function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = zipDosDateTime(new Date());
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = zipCrc32(data);
+
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(6, 0x0800, true); // UTF-8 file names
+        header.setUint16(8, 0, true); // Stored (no compression)
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+        parts.push(new Uint8Array(header.buffer), nameBytes, data);
+
+        // Central directory entry
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true); // Version made by
+        entry.setUint16(6, 20, true); // Version needed to extract
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true); // Offset of the local header
+        centralDirectory.push(new Uint8Array(entry.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralDirectorySize = centralDirectory.reduce((size, part) => size + part.length, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralDirectorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+// Read a ZIP archive into [{ name, data }] (data as Uint8Array, directories skipped)
+async function readZipArchive(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record sits at the end, before an optional comment
+    let endOffset = -1;
+    for (let i = arrayBuffer.byteLength - 22; i >= Math.max(0, arrayBuffer.byteLength - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let entryOffset = view.getUint32(endOffset + 16, true);
+    const files = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(entryOffset, true) !== 0x02014B50) {
+            throw new Error('Corrupted ZIP archive');
+        }
+
+        const method = view.getUint16(entryOffset + 10, true);
+        const compressedSize = view.getUint32(entryOffset + 20, true);
+        const nameLength = view.getUint16(entryOffset + 28, true);
+        const extraLength = view.getUint16(entryOffset + 30, true);
+        const commentLength = view.getUint16(entryOffset + 32, true);
+        const headerOffset = view.getUint32(entryOffset + 42, true);
+        const name = decoder.decode(new Uint8Array(arrayBuffer, entryOffset + 46, nameLength));
+        entryOffset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // The local header's name and extra field lengths can differ from the central directory's
+        const dataStart = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+        const compressed = new Uint8Array(arrayBuffer, dataStart, compressedSize);
+
+        let data;
+        if (method === 0) {
+            data = compressed.slice();
+        } else if (method === 8) {
+            const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            data = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else {
+            throw new Error(`Unsupported compression in "${name}"`);
+        }
+
+        files.push({ name, data });
+    }
+
+    return files;
+}
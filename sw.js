@@ -7,7 +7,33 @@ const URLS_TO_CACHE = [
   '/src/favicon.svg',
   '/src/js/config.js',
   '/src/js/snippet-manager.js',
+  '/src/js/snippet-history.js',
+  '/src/js/snippet-tags.js',
+  '/src/js/snippet-folders.js',
+  '/src/js/snippet-search.js',
+  '/src/js/snippet-thumbnails.js',
+  '/src/js/template-variables.js',
+  '/src/js/snippet-bulk.js',
+  '/src/js/snippet-export.js',
+  '/src/js/snippet-import.js',
+  '/src/js/chart-import.js',
+  '/src/js/lz-string.js',
+  '/src/js/vega-editor.js',
+  '/src/js/preview-export.js',
+  '/src/js/zip-archive.js',
+  '/src/js/project-zip.js',
+  '/src/js/batch-render.js',
+  '/src/js/html-export.js',
+  '/src/js/altair-export.js',
+  '/src/js/compiled-vega.js',
   '/src/js/dataset-manager.js',
+  '/src/js/theme-manager.js',
+  '/src/js/fragment-manager.js',
+  '/src/js/field-completion.js',
+  '/src/js/trash-manager.js',
+  '/src/js/dashboard-manager.js',
+  '/src/js/presentation.js',
+  '/src/js/tab-sync.js',
   '/src/js/chart-builder.js',
   '/src/js/panel-manager.js',
   '/src/js/editor.js',